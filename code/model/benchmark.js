@@ -0,0 +1,79 @@
+'use strict'
+
+// This benchmarks the readable encoder, which is the Encoder class followed by the EFM
+// encoder, against the fast path from fast.js, on random sectors, and checks that both
+// produce the very same bitstream while at it. Nothing is written to the disk, so this
+// only measures the encoders themselves.
+async function main() {
+  const { program } = require('commander')
+
+  const efm = require('./efm')
+  const encoder = require('./encoder')
+  const { FastEncoder } = require('./fast')
+  const L1profile = require('./profile')
+
+  program
+    .option('-s, --sectors <count>', 'number of sectors to encode', '750')
+    .option('--profile <profile>', 'L1 data layout profile: encoder, default, or a JSON file', 'encoder')
+
+  program.parse(process.argv)
+  const options = program.opts()
+  const count = parseInt(options.sectors)
+  const profile = L1profile.load(options.profile)
+
+  // Random sectors and subchannels, using a simple LCG so that runs are reproducible.
+  let seed = 1
+  const random = () => {
+    seed = (seed * 1103515245 + 12345) & 0x7fffffff
+    return seed >> 16
+  }
+  const sectors = []
+  for (let s = 0; s < count; s++) {
+    const sector = Buffer.alloc(2352)
+    for (let i = 0; i < 2352; i++) sector[i] = random() & 0xff
+    const sub = []
+    for (let i = 0; i < 96; i++) sub.push(random() & 0xc0)
+    sectors.push([sector, sub])
+  }
+  const pad = () => [Buffer.alloc(2352), new Array(96).fill(0)]
+
+  function run(name, encode) {
+    const start = process.hrtime.bigint()
+    const output = encode()
+    const seconds = Number(process.hrtime.bigint() - start) / 1e9
+    // At 1x speed, a sector lasts for 1/75th of a second.
+    console.log(name + ': ' + seconds.toFixed(3) + 's, ' + (count / 75 / seconds).toFixed(2) + 'x speed')
+    return { output, seconds }
+  }
+
+  const readable = run('Readable encoder', () => {
+    const bytes = []
+    const efmEncoder = new efm.Encoder()
+    efmEncoder.on('data', b => bytes.push(b))
+    const enc = new encoder.Encoder(efmEncoder, profile)
+    for (const s of sectors) enc.queue(...s)
+    enc.flush(pad)
+    efmEncoder.end()
+    return bytes
+  })
+
+  const fast = run('Fast encoder', () => {
+    const chunks = []
+    const enc = new FastEncoder({ write: chunk => chunks.push(chunk) }, profile, { efm: true })
+    for (const s of sectors) enc.queue(...s)
+    enc.flush(pad)
+    enc.end()
+    return Buffer.concat(chunks)
+  })
+
+  // The EFM encoder pushes its bytes asynchronously, so let it finish first.
+  await new Promise(resolve => setImmediate(resolve))
+  if (!Buffer.from(readable.output).equals(fast.output)) {
+    throw Error('The fast encoder output differs from the readable one')
+  }
+  console.log('Outputs are identical, the fast encoder is ' + (readable.seconds / fast.seconds).toFixed(1) + ' times faster')
+}
+
+main()
+  .then(ret => process.exit)
+  .catch(err => { throw (err) })
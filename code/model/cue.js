@@ -0,0 +1,160 @@
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+const { Disc, trackTypes, sectorsIn } = require('./disc')
+const msf = require('./msf')
+
+/* A CUE sheet reader, which turns one into a Disc, see disc.js. A CUE sheet is a text file
+   describing the tracks of a disc, and where their sectors are in one or more BIN files:
+
+     FILE "image.bin" BINARY
+       TRACK 01 MODE1/2352
+         INDEX 01 00:00:00
+       TRACK 02 AUDIO
+         FLAGS DCP PRE
+         PREGAP 00:02:00
+         INDEX 01 12:34:56
+
+   The INDEX times are positions within the current file, in sectors, written as MSF, and a
+   track runs until the first index of the next track within the same file, or the end of the
+   file. The sector size of each track depends on its type, so tracks of different types can
+   share a file. PREGAP and POSTGAP are sectors which aren't in the files, and are generated,
+   before the index 1 of a track for the former, which makes them part of its index 0, and
+   after its last sector for the latter. FLAGS sets the control bits of the subchannel Q.
+
+   Only BINARY files are supported, which are raw sectors, with audio in little endian. The
+   commands which don't change the sectors, like TITLE, PERFORMER, CATALOG, ISRC, or REM,
+   are ignored. */
+
+// Splits a line into its words, keeping the quoted ones, such as file names, whole.
+function words(line) {
+  const ret = []
+  const re = /"([^"]*)"|(\S+)/g
+  let match
+  while ((match = re.exec(line)) !== null) {
+    ret.push(match[1] ?? match[2])
+  }
+  return ret
+}
+
+// Parses a mm:ss:ff time into sectors.
+function time(value, lineNumber) {
+  const match = /^(\d+):(\d{1,2}):(\d{1,2})$/.exec(value ?? '')
+  if (!match || parseInt(match[2]) > 59 || parseInt(match[3]) > 74) {
+    throw Error('Invalid time on line ' + lineNumber + ': ' + value)
+  }
+  return msf.from({ m: parseInt(match[1]), s: parseInt(match[2]), f: parseInt(match[3]) })
+}
+
+// Parses a CUE sheet into the list of its files, each with its tracks, and their indexes.
+function parse(text) {
+  const files = []
+  let file
+  let track
+  text.split(/\r?\n/).forEach((line, i) => {
+    const lineNumber = i + 1
+    const [command, ...args] = words(line)
+    switch (command?.toUpperCase()) {
+      case 'FILE':
+        if (args.length !== 2) {
+          throw Error('Invalid FILE on line ' + lineNumber)
+        }
+        if (args[1].toUpperCase() !== 'BINARY') {
+          throw Error('Unsupported file type on line ' + lineNumber + ': ' + args[1])
+        }
+        file = { name: args[0], tracks: [] }
+        track = undefined
+        files.push(file)
+        break
+      case 'TRACK':
+        if (!file) {
+          throw Error('TRACK before any FILE on line ' + lineNumber)
+        }
+        if (!/^\d+$/.test(args[0] ?? '') || !trackTypes[args[1]?.toUpperCase()] || args[1].toUpperCase() === 'XA') {
+          throw Error('Invalid TRACK on line ' + lineNumber)
+        }
+        track = { number: parseInt(args[0]), type: args[1].toUpperCase(), flags: [], pregap: 0, postgap: 0, indexes: [] }
+        file.tracks.push(track)
+        break
+      case 'INDEX':
+        if (!track) {
+          throw Error('INDEX before any TRACK on line ' + lineNumber)
+        }
+        if (!/^\d+$/.test(args[0] ?? '')) {
+          throw Error('Invalid INDEX on line ' + lineNumber)
+        }
+        track.indexes.push({ number: parseInt(args[0]), position: time(args[1], lineNumber) })
+        break
+      case 'PREGAP':
+      case 'POSTGAP':
+        if (!track) {
+          throw Error(command + ' before any TRACK on line ' + lineNumber)
+        }
+        track[command.toLowerCase()] = time(args[0], lineNumber)
+        break
+      case 'FLAGS':
+        if (!track) {
+          throw Error('FLAGS before any TRACK on line ' + lineNumber)
+        }
+        // SCMS is the serial copy management system, which isn't in the subchannel Q.
+        track.flags = args.map(flag => flag.toUpperCase()).filter(flag => flag !== 'SCMS')
+        break
+    }
+  })
+  return files
+}
+
+/* Reads a CUE sheet, and opens its files, which are relative to it. The pregap is a number
+   of sectors to generate at the start of the first track, before the ones of the CUE sheet,
+   as the --pregap option of index.js does. */
+exports.load = (filename, pregap = 0) => {
+  const files = parse(fs.readFileSync(filename, 'utf8'))
+  const disc = new Disc()
+  for (const file of files) {
+    if (file.tracks.length === 0) {
+      throw Error('No track in file ' + file.name)
+    }
+    const fd = fs.openSync(path.resolve(path.dirname(filename), file.name), 'r')
+    const fileSize = fs.fstatSync(fd).size
+    // The byte offset of the first sector of the track within the file, which depends on
+    // the sector sizes of all of the tracks before it.
+    let offset = 0
+    // Each track needs its first index for the one before it to end.
+    for (const track of file.tracks) {
+      if (track.indexes.length === 0) {
+        throw Error('Track ' + track.number + ' has no index')
+      }
+    }
+    file.tracks.forEach((track, t) => {
+      const first = track.indexes[0].position
+      if (t === 0) {
+        offset = first * trackTypes[track.type].size
+      }
+      if (offset > fileSize) {
+        throw Error('Track ' + track.number + ' starts past the end of ' + file.name)
+      }
+      // The track ends where the next one starts, or with the file.
+      const next = file.tracks[t + 1]
+      const end = next ? next.indexes[0].position : first + sectorsIn(track.type, fileSize - offset)
+      if (end < first) {
+        throw Error('Track ' + track.number + ' overlaps the next one')
+      }
+      disc.addTrack(track.number, track.type, track.flags)
+      if (disc.tracks.length === 1) {
+        disc.append(pregap, 0)
+      }
+      disc.append(track.pregap, 0)
+      track.indexes.forEach((index, i) => {
+        const stop = i + 1 < track.indexes.length ? track.indexes[i + 1].position : end
+        if (stop < index.position) {
+          throw Error('Track ' + track.number + ' has its indexes out of order')
+        }
+        disc.append(stop - index.position, index.number, fd, offset)
+        offset += (stop - index.position) * trackTypes[track.type].size
+      })
+      disc.append(track.postgap, track.indexes[track.indexes.length - 1].number)
+    })
+  }
+  return disc.finish()
+}
@@ -0,0 +1,257 @@
+'use strict'
+
+const fs = require('fs')
+const bcd = require('./bcd')
+const msf = require('./msf')
+const sectorBuilder = require('./sector')
+
+/* The layout of the program area of a disc: its tracks, their indexes, and where each of
+   their sectors comes from. The sectors are addressed by their LBA, where 0 is the start of
+   the first track, which is 2 seconds into the disc, so its absolute address is 150 sectors
+   further. The sectors before it, if any, are the pregap of the first track.
+
+   A disc is built one track at a time, by appending extents of sectors to the last track,
+   each with its index, and either a file to read them from, or nothing, for the sectors we
+   generate ourselves, such as the PREGAP and POSTGAP of a CUE sheet. Each track has a type,
+   which are the ones of CUE sheets, telling what the sectors look like in the files, and
+   whether the track holds audio or data. */
+
+/* The format of the track types is the same as the --format option of index.js, which is
+   how the sectors are stored in their files: raw 2352 bytes sectors, 2048 bytes of mode 1
+   user data, or 2336 bytes of mode 2 XA sectors. The xa type is for 2048 or 2324 bytes of
+   user data, depending on the subheader of each sector, which the track needs to get. */
+const trackTypes = {
+  AUDIO: { format: 'raw', digital: false, size: 2352 },
+  'MODE1/2352': { format: 'raw', digital: true, size: 2352 },
+  'MODE1/2048': { format: 'mode1', digital: true, size: 2048 },
+  'MODE2/2352': { format: 'raw', digital: true, size: 2352 },
+  'MODE2/2336': { format: 'mode2', digital: true, size: 2336 },
+  XA: { format: 'xa', digital: true }
+}
+
+/* The control bits of the subchannel Q, in its high nibble. The FLAGS of a CUE sheet can set
+   the ones which make sense for audio tracks, while the data one comes from the track type. */
+const controlFlags = {
+  '4CH': 0x8,
+  DATA: 0x4,
+  DCP: 0x2,
+  PRE: 0x1
+}
+
+class Disc {
+  constructor() {
+    this.tracks = []
+    this.extents = []
+    // The LBA of the first sector, and of the one after the last, which is where the lead-out
+    // starts. Extents are laid out from 0 until the disc is finished, see below.
+    this.start = 0
+    this.end = 0
+  }
+
+  /* Starts a new track, of the given type, with a list of flags. The subheaders are only for
+     the xa type, and are the ones of all of its sectors, as sector.loadSubheaders gives them. */
+  addTrack(number, type, flags = [], subheaders) {
+    const info = trackTypes[type]
+    if (!info) {
+      throw Error('Unsupported track type: ' + type)
+    }
+    if (!Number.isInteger(number) || number < 1 || number > 99) {
+      throw Error('Invalid track number: ' + number)
+    }
+    const last = this.tracks[this.tracks.length - 1]
+    if (last && number !== last.number + 1) {
+      throw Error('Track ' + number + ' does not follow track ' + last.number)
+    }
+    let control = info.digital ? controlFlags.DATA : 0
+    for (const flag of flags) {
+      if (controlFlags[flag] === undefined || flag === 'DATA') {
+        throw Error('Unknown track flag: ' + flag)
+      }
+      control |= controlFlags[flag]
+    }
+    const track = { number, type, ...info, control, subheaders, indexes: [] }
+    this.tracks.push(track)
+    return track
+  }
+
+  /* Appends count sectors to the last track, with the given index. The sectors come from the
+     file descriptor fd, starting at the byte offset, or are generated if there's no file.
+     Generated sectors are silence for audio tracks, and empty mode 0 sectors for data
+     tracks. For the xa type, first is the number of the first sector within the track, which
+     selects their subheaders. Empty extents are fine, and still start their index. */
+  append(count, index, fd, offset = 0, first = 0) {
+    const track = this.tracks[this.tracks.length - 1]
+    if (!track) {
+      throw Error('Sectors need a track')
+    }
+    if (!Number.isInteger(count) || count < 0) {
+      throw Error('Invalid number of sectors: ' + count)
+    }
+    const lastIndex = track.indexes[track.indexes.length - 1]
+    if (!lastIndex || lastIndex.number !== index) {
+      if (lastIndex ? index !== lastIndex.number + 1 : index > 1) {
+        throw Error('Track ' + track.number + ' has index ' + index + ' out of order')
+      }
+      track.indexes.push({ number: index, start: this.end })
+    }
+    const extent = { start: this.end, count, track, index, fd, offset }
+    if (fd !== undefined && track.format === 'xa') {
+      // The position of each sector within the file, as they don't all have the same size.
+      extent.subheaders = track.subheaders.slice(first, first + count)
+      extent.offsets = [offset]
+      for (const subheader of extent.subheaders) {
+        extent.offsets.push(extent.offsets[extent.offsets.length - 1] + sectorBuilder.userDataSize(subheader))
+      }
+    }
+    this.extents.push(extent)
+    this.end += count
+  }
+
+  /* Once all of the tracks are there, moves everything so that the index 1 of the first track
+     is at the LBA 0, and checks that each track has an index 1. */
+  finish() {
+    if (this.tracks.length === 0) {
+      throw Error('The disc has no track')
+    }
+    for (const track of this.tracks) {
+      if (!track.indexes.some(index => index.number === 1)) {
+        throw Error('Track ' + track.number + ' has no index 1')
+      }
+    }
+    const shift = -this.trackStart(this.tracks[0])
+    for (const extent of this.extents) extent.start += shift
+    for (const track of this.tracks) {
+      for (const index of track.indexes) index.start += shift
+    }
+    this.start = shift
+    this.end += shift
+    return this
+  }
+
+  // The start of a track, which is its index 1, as its index 0 is the pause before it.
+  trackStart(track) {
+    return track.indexes.find(index => index.number === 1).start
+  }
+
+  /* The extent holding a sector, found by bisection, since they are sorted. Past the end,
+     this is the last one, so that the sectors after the disc carry on with its last index. */
+  extentAt(lba) {
+    let low = 0
+    let high = this.extents.length - 1
+    while (low < high) {
+      const middle = (low + high + 1) >> 1
+      if (this.extents[middle].start <= lba) {
+        low = middle
+      } else {
+        high = middle - 1
+      }
+    }
+    return this.extents[low]
+  }
+
+  /* Where a sector is on the disc: its track, index, and relative time, in sectors. The
+     relative time counts up from the index 1 of the track, and down during its index 0,
+     which is its pause, so that the last sector of the pause is at zero. */
+  locate(lba) {
+    const { track, index } = this.extentAt(lba)
+    const start = this.trackStart(track)
+    const relative = index === 0 ? start - lba - 1 : lba - start
+    return { track, index, relative }
+  }
+
+  /* Whether the P subchannel flag is set for a sector, which it is during the pauses, the
+     index 0 of the tracks, and for the 2 seconds before the start of each track, even when
+     its pause is shorter than that, or it has none, in which case this is the end of the
+     track before it. It is clear inside the tracks otherwise. */
+  pause(lba) {
+    if (this.extentAt(lba).index === 0) {
+      return true
+    }
+    return this.tracks.some(track => lba < this.trackStart(track) && lba >= this.trackStart(track) - 150)
+  }
+
+  /* The table of contents of the disc, which the lead-in repeats in its subchannel Q. Each
+     entry has its POINT, its control bits, and its P-MIN, P-SEC, and P-FRAME fields, already
+     in BCD, when they are numbers. There is one entry per track, pointing to the absolute
+     time of its index 1, and then three more:
+     - A0, whose P-MIN is the first track number, and P-SEC the disc type, which is 0x20 for
+       CD-ROM XA discs, which have mode 2 tracks, and 0x00 for the others.
+     - A1, whose P-MIN is the last track number.
+     - A2, which points to the start of the lead-out. */
+  toc() {
+    const first = this.tracks[0]
+    const last = this.tracks[this.tracks.length - 1]
+    const entry = (point, control, time) => ({ point, control, pmin: bcd.to(time.m), psec: bcd.to(time.s), pframe: bcd.to(time.f) })
+    const entries = this.tracks.map(track => entry(bcd.to(track.number), track.control, msf.to(this.trackStart(track) + 150)))
+    const xa = this.tracks.some(track => track.type.startsWith('MODE2') || track.type === 'XA')
+    entries.push({ ...entry(0xa0, first.control, { m: first.number, s: 0, f: 0 }), psec: xa ? 0x20 : 0x00 })
+    entries.push(entry(0xa1, last.control, { m: last.number, s: 0, f: 0 }))
+    entries.push(entry(0xa2, last.control, msf.to(this.end + 150)))
+    return entries
+  }
+
+  // Builds the 2352 bytes of a sector, before scrambling.
+  sector(lba) {
+    const extent = this.extentAt(lba)
+    const { track, fd } = extent
+    const n = lba - extent.start
+    if (fd === undefined) {
+      return track.digital ? sectorBuilder.mode0(lba) : Buffer.alloc(2352)
+    }
+    const position = extent.offsets ? extent.offsets[n] : extent.offset + n * track.size
+    const size = extent.offsets ? extent.offsets[n + 1] - position : track.size
+    const data = Buffer.alloc(size)
+    fs.readSync(fd, data, 0, size, position)
+    switch (track.format) {
+      case 'mode1':
+        return sectorBuilder.mode1(data, lba)
+      case 'mode2':
+        return sectorBuilder.xa(data, lba)
+      case 'xa':
+        return sectorBuilder.mode2(extent.subheaders[n], data, lba)
+      default:
+        return data
+    }
+  }
+}
+
+/* The entry of the table of contents, as Disc.toc gives it, which the sector n of the lead-in
+   carries in its subchannel Q. The lead-in repeats the whole table over and over, with each
+   of its entries three times in a row, as the Red Book requires. */
+const leadInEntry = (toc, n) => toc[Math.floor(n / 3) % toc.length]
+
+// The P subchannel flag of the sector n of the lead-out, which flashes at 2Hz, starting set,
+// so it toggles every 18.75 sectors.
+const leadOutPause = n => Math.floor(n * 4 / 75) % 2 === 0
+
+// The number of whole sectors of a track type that fit in the given number of bytes.
+const sectorsIn = (type, bytes) => Math.floor(bytes / trackTypes[type].size)
+
+/* A disc with a single track, from a single file, with pregap generated sectors before it.
+   The subheaders are for the XA type, and tell how many sectors there are. In any case, the
+   last partial sector of the file, if any, is dropped. */
+exports.single = (filename, type, pregap = 0, subheaders) => {
+  const disc = new Disc()
+  const fd = fs.openSync(filename, 'r')
+  const fileSize = fs.fstatSync(fd).size
+  let count
+  if (subheaders) {
+    count = 0
+    let size = 0
+    while (count < subheaders.length && size + sectorBuilder.userDataSize(subheaders[count]) <= fileSize) {
+      size += sectorBuilder.userDataSize(subheaders[count++])
+    }
+  } else {
+    count = sectorsIn(type, fileSize)
+  }
+  disc.addTrack(1, type, [], subheaders)
+  disc.append(pregap, 0)
+  disc.append(count, 1, fd)
+  return disc.finish()
+}
+
+exports.leadInEntry = leadInEntry
+exports.leadOutPause = leadOutPause
+exports.sectorsIn = sectorsIn
+exports.Disc = Disc
+exports.trackTypes = trackTypes
@@ -0,0 +1,113 @@
+'use strict'
+
+const rs = require('./rs')
+
+/* The Yellow Book adds another layer of Reed-Solomon codes to the data sectors, on top of
+   the CIRC, called the P and Q parity. They use the same Galois field as C1 and C2, and
+   two parity bytes each, which are the same as the ones the generic encoder of rs.js
+   computes, since their check matrices evaluate the codewords at 1 and alpha.
+
+   The 2340 bytes after the sync pattern are seen as 1170 words of 2 bytes, and the most
+   significant and least significant bytes of these words are two separate planes, which
+   have their own codewords. Each plane is laid out as a matrix of 43 columns:
+   - The P codewords are the 43 columns of the first 24 rows, which is the header and the
+     data, up to the end of the zero fill, to which they add 2 rows of parity. So a P
+     codeword is the word n, n + 43, n + 86, ..., n + 43 * 23, and its parity goes into the
+     words 43 * 24 + n and 43 * 25 + n.
+   - The Q codewords are the 26 diagonals of these 26 rows, including the P parity. The
+     diagonal n starts at the word 43 * n, and walks 44 words at a time, wrapping around
+     the 1118 words, for 43 words, and its parity goes into the words 1118 + n and
+     1118 + 26 + n.
+   The P parity ends up at the offset 2076 of the sector, and the Q parity at 2248, which
+   is the end of the sector. The Q parity covers the P parity, so it has to come second.
+
+   Each codeword can correct a single wrong byte. Since every byte is covered by one P and
+   one Q codeword, which cross each other, correcting one kind of codewords can make some
+   of the other kind correctable, so the correction goes back and forth between them. */
+
+const P_OFFSET = 12 + 43 * 24 * 2
+const Q_OFFSET = 12 + 43 * 26 * 2
+
+// The byte position within the sector of the given word of a plane.
+const wordOffset = (word, plane) => 12 + word * 2 + plane
+
+// The positions within the sector of the bytes of each codeword, with the two parity bytes
+// last, the same way the messages of rs.js are laid out.
+const pCodewords = []
+const qCodewords = []
+for (let plane = 0; plane < 2; plane++) {
+  for (let n = 0; n < 43; n++) {
+    const positions = []
+    for (let m = 0; m < 24; m++) {
+      positions.push(wordOffset(n + 43 * m, plane))
+    }
+    positions.push(wordOffset(43 * 24 + n, plane), wordOffset(43 * 25 + n, plane))
+    pCodewords.push(positions)
+  }
+  for (let n = 0; n < 26; n++) {
+    const positions = []
+    for (let m = 0; m < 43; m++) {
+      positions.push(wordOffset((43 * n + 44 * m) % 1118, plane))
+    }
+    positions.push(wordOffset(1118 + n, plane), wordOffset(1118 + 26 + n, plane))
+    qCodewords.push(positions)
+  }
+}
+
+// Computes the parity bytes of a list of codewords, in place.
+function encodeCodewords(sector, codewords) {
+  for (const positions of codewords) {
+    const parity = rs.encode(positions.slice(0, -2).map(p => sector[p]), 2)
+    sector[positions[positions.length - 2]] = parity[0]
+    sector[positions[positions.length - 1]] = parity[1]
+  }
+}
+
+// Corrects what it can of a list of codewords, in place, and returns the number of bytes
+// it changed.
+function correctCodewords(sector, codewords) {
+  let changed = 0
+  for (const positions of codewords) {
+    const result = rs.decode(positions.map(p => sector[p]), 2)
+    if (!result.ok) continue
+    for (const p of result.positions) {
+      sector[positions[p]] = result.corrected[p]
+      changed++
+    }
+  }
+  return changed
+}
+
+// Computes the 172 bytes of P parity and the 104 bytes of Q parity of a 2352 bytes sector,
+// in place.
+exports.generate = sector => {
+  encodeCodewords(sector, pCodewords)
+  encodeCodewords(sector, qCodewords)
+}
+
+// Checks the P and Q parity of a 2352 bytes sector.
+exports.check = sector => [...pCodewords, ...qCodewords].every(positions => rs.syndromes(positions.map(p => sector[p]), 2).every(s => s === 0))
+
+// Corrects a 2352 bytes sector in place, going back and forth between the P and Q codewords
+// until they are all fine, or nothing changes anymore. With too many errors, a codeword may
+// be miscorrected, and the two kinds of codewords can then undo each other's work forever,
+// hence the limited number of passes. Returns the number of corrected bytes, or -1 if the
+// sector couldn't be corrected.
+const MAX_PASSES = 8
+
+exports.correct = sector => {
+  let corrected = 0
+  for (let pass = 0; pass < MAX_PASSES; pass++) {
+    const changed = correctCodewords(sector, pCodewords) + correctCodewords(sector, qCodewords)
+    corrected += changed
+    if (exports.check(sector)) {
+      return corrected
+    }
+    if (changed === 0) {
+      break
+    }
+  }
+  return -1
+}
+exports.P_OFFSET = P_OFFSET
+exports.Q_OFFSET = Q_OFFSET
@@ -0,0 +1,31 @@
+'use strict'
+
+// The data sectors use a 32 bits CRC as their Error Detection Code. Its polynomial is
+// (x¹⁶ + x¹⁵ + x² + 1) · (x¹⁶ + x² + x + 1), which expands to
+// x³² + x³¹ + x¹⁶ + x¹⁵ + x⁴ + x³ + x + 1, or 0x8001801b in hex. Unlike the CRC16
+// of the subchannel Q, it is computed least significant bit first, so the lookup
+// table uses the reversed polynomial, and there's no initial or final inversion.
+const edc_lut = []
+{
+  const poly = 0xd8018001
+  for (let d = 0; d < 256; d++) {
+    let r = d
+    for (let i = 0; i < 8; i++) {
+      const flip = r & 1 ? poly : 0
+      r >>>= 1
+      r ^= flip
+    }
+    edc_lut[d] = r >>> 0
+  }
+}
+
+// Computes the EDC of the bytes between start and end, which is stored in Little
+// Endian right after them in the sector.
+exports.edc = (data, start = 0, end = data.length) => {
+  let edc = 0
+  for (let i = start; i < end; i++) {
+    edc = edc_lut[(edc ^ data[i]) & 0xff] ^ (edc >>> 8)
+  }
+
+  return edc >>> 0
+}
@@ -10,8 +10,17 @@ const util = require('util')
    as input, in order to make sure the last bits are flushed out. The symbols S0 and S1 ought to only be used
    for the subchannel's first two symbols. The ERASURE symbol typically shouldn't be used in a normal stream,
    but can be useful for testing the Reed Solomon correction mechanism. There are technically a few other
-   potential candidates for the erasure 14-bits pattern, we just picked one which seemed distant enough from
-   the other valid EFM symbols. */
+   potential candidates for the erasure 14-bits pattern, see erasureCandidates below, we just picked one by
+   default which seemed distant enough from the other valid EFM symbols. The erasure field of the options
+   selects another one, or any other invalid pattern, as a number or as a 14-bits string.
+
+   The constructor takes an optional object of options, with the merge field selecting how the merge bits
+   are chosen: 'eager', the default, which inserts as many transitions as possible, or 'dsv', which keeps
+   the Digital Sum Value as close to zero as possible. The DSV is the running sum of the bitstream, counting
+   +1 for each bit at the high level, and -1 for each bit at the low level. The Red Book expects it to stay
+   near zero, as its low frequency content gets in the way of the servos, which a pressing plant's encoder
+   takes care of. The encoder keeps track of the DSV whatever the strategy, and the dsvStats method gives
+   its statistics. */
 
 // The normal input symbols are between 0 and 255, so these values won't collide.
 const S0 = -1
@@ -46,17 +55,39 @@ const S0_symbol = 0x2004
 const S1_symbol = 0x1200
 const ERASURE_symbol = 0b10001000000000
 
+// The 24-bits sync pattern, in the order the bits are written, so bit 0 is the first one.
+const SYNC_bits = 0b010000000000100000000001
+
+// The possible merge bits, in the order the bits are written.
+const mergePatterns = [0b000, 0b001, 0b010, 0b100]
+const mergeStrategies = ['eager', 'dsv']
+
 /* The way to use the class is through the Transform API. None of the methods in the class are to be called
-   directly: they will be called by the node.js code directly. */
+   directly, apart from dsvStats: they will be called by the node.js code directly. */
 
 class Encoder extends Transform {
-  constructor() {
+  constructor(options = {}) {
     super({ objectMode: true })
+    this.merge = options.merge ?? 'eager'
+    if (!mergeStrategies.includes(this.merge)) {
+      throw Error('Unknown merge bits strategy: ' + this.merge)
+    }
+    this.erasure = parseErasure(options.erasure ?? ERASURE_symbol)
     this.lastbit = 0
     this.lastfew = 0
     this.mask = 1
     this.byte = 0
     this.column = 0
+    // The number of 0s since the last 1, and the last 24 bits, for the DSV strategy,
+    // which needs to check the run lengths and the sync pattern by itself.
+    this.zeros = 0
+    this.window = 0
+    // The DSV and its statistics.
+    this.bits = 0
+    this.dsv = 0
+    this.dsvMin = 0
+    this.dsvMax = 0
+    this.dsvSquares = 0
   }
 
   _putbit(bit) {
@@ -69,6 +100,13 @@ class Encoder extends Transform {
     if (this.lastbit) {
       this.byte |= this.mask
     }
+    this.zeros = bit !== 0 ? 0 : this.zeros + 1
+    this.window = ((this.window << 1) | (bit !== 0 ? 1 : 0)) & 0xffffff
+    this.dsv += this.lastbit ? 1 : -1
+    this.dsvMin = Math.min(this.dsvMin, this.dsv)
+    this.dsvMax = Math.max(this.dsvMax, this.dsv)
+    this.dsvSquares += this.dsv * this.dsv
+    this.bits++
     this.mask <<= 1
     // Flush a byte if we have 8 bits.
     if (this.mask === 0x100) {
@@ -79,29 +117,77 @@ class Encoder extends Transform {
     this.lastfew &= 3
   }
 
+  // Emits the merge bits before the next bits, which are count bits long, in the order
+  // they are written, following the selected strategy.
+  _putmerge(next, count) {
+    const merge = this.merge === 'dsv' ? this._dsvmerge(next, count) : this._eagermerge(next)
+    for (let i = 0; i < 3; i++) {
+      this._putbit((merge >> i) & 1)
+    }
+  }
+
   // There are various possible strategies to come up with merge bits. This one
   // is the most eager possible, in order to systematically introduce a transition
   // into the bitstream, to keep the clock recovery circuit happy. Since we remember
   // the last two bits we had, we only need the next two bits to decide what to do.
-  _putmerge(next) {
+  _eagermerge(next) {
     const val = (this.lastfew << 2) | (next & 3)
     if ((val & 5) === 0) {
-      this._putbit(0)
-      this._putbit(1)
-      this._putbit(0)
+      return 0b010
     } else if (val === 1) {
-      this._putbit(1)
-      this._putbit(0)
-      this._putbit(0)
+      return 0b001
     } else if (val === 4) {
-      this._putbit(0)
-      this._putbit(0)
-      this._putbit(1)
+      return 0b100
     } else {
-      this._putbit(0)
-      this._putbit(0)
-      this._putbit(0)
+      return 0b000
+    }
+  }
+
+  // This one tries all of the merge bits, and keeps the one which brings the DSV the
+  // closest to zero once the next bits are written, which is a one symbol lookahead.
+  // The merge bits have to respect the run lengths, which are at least 2 and at most
+  // 10 0s between two 1s, and mustn't form a sync pattern with the bits around them,
+  // which needs to know more than the last two bits. The eager choice is tried first,
+  // so it wins any tie, and it is always valid anyway.
+  _dsvmerge(next, count) {
+    const eager = this._eagermerge(next)
+    let best = eager
+    let bestCost = Infinity
+    for (const merge of [eager, ...mergePatterns.filter(m => m !== eager)]) {
+      const cost = this._mergecost(merge | (next << 3), count + 3, next === SYNC_bits)
+      if (cost < bestCost) {
+        best = merge
+        bestCost = cost
+      }
     }
+    return best
+  }
+
+  // The absolute DSV after writing these bits, or Infinity if they would break the rules.
+  _mergecost(bits, count, sync) {
+    let zeros = this.zeros
+    let window = this.window
+    let level = this.lastbit
+    let dsv = this.dsv
+    for (let i = 0; i < count; i++) {
+      const bit = (bits >> i) & 1
+      if (bit) {
+        if (zeros < 2) {
+          return Infinity
+        }
+        zeros = 0
+        level ^= 1
+      } else if (++zeros > 10) {
+        return Infinity
+      }
+      window = ((window << 1) | bit) & 0xffffff
+      // Only the actual sync pattern may end with a sync pattern.
+      if (window === SYNC && !(sync && i === count - 1)) {
+        return Infinity
+      }
+      dsv += level ? 1 : -1
+    }
+    return Math.abs(dsv)
   }
 
   // Helper to output the 24-bits sync pattern.
@@ -124,7 +210,7 @@ class Encoder extends Transform {
     if (this.column++ === 0) {
       this._putsync()
     }
-    this._putmerge(symbol)
+    this._putmerge(symbol, 14)
     let mask = 1
     for (let i = 0; i < 14; i++) {
       this._putbit(symbol & mask)
@@ -136,7 +222,7 @@ class Encoder extends Transform {
     // pre-emptively emit the merge bits for that.
     if (this.column === 33) {
       this.column = 0
-      this._putmerge(1)
+      this._putmerge(SYNC_bits, 24)
     }
   }
 
@@ -151,7 +237,7 @@ class Encoder extends Transform {
         } else if (b === S1) {
           this._putsymbol(S1_symbol)
         } else if (b === ERASURE) {
-          this._putsymbol(ERASURE_symbol)
+          this._putsymbol(this.erasure)
         } else {
           return callback(new Error('Improper input symbol'))
         }
@@ -162,7 +248,8 @@ class Encoder extends Transform {
     }
   }
 
-  // Ensure the last bits are flushed out, and reset the encoder.
+  // Ensure the last bits are flushed out, and reset the encoder. The DSV statistics are
+  // kept, so they can still be looked at once the stream is over.
   _flush(callback) {
     if (this.mask !== 1) {
       this.push(this.byte)
@@ -172,12 +259,214 @@ class Encoder extends Transform {
     this.mask = 1
     this.byte = 0
     this.column = 0
+    this.zeros = 0
+    this.window = 0
+    callback()
+  }
+
+  // The statistics of the DSV over the whole bitstream so far: the number of bits, the
+  // current DSV, its extremes, and its root mean square.
+  dsvStats() {
+    return {
+      bits: this.bits,
+      dsv: this.dsv,
+      min: this.dsvMin,
+      max: this.dsvMax,
+      rms: this.bits === 0 ? 0 : Math.sqrt(this.dsvSquares / this.bits)
+    }
+  }
+}
+
+/* The reverse lookup table, used to decode 14-bits patterns back into symbols. Any pattern which
+   isn't one of the 258 valid symbols decodes as ERASURE, which is how a DSP would flag it for the
+   Reed-Solomon decoders. The bits are in the same order as in the lut above. */
+const reverse = new Array(1 << 14).fill(ERASURE)
+lut.forEach((symbol, b) => {
+  reverse[symbol] = b
+})
+reverse[S0_symbol] = S0
+reverse[S1_symbol] = S1
+
+function decodeSymbol(symbol) {
+  return reverse[symbol]
+}
+
+// Checks a 14-bits pattern against the run lengths of EFM, which are at least 2 and at most 10
+// 0s between two 1s, and at most 10 0s at either end. The merge bits take care of the rest.
+function respectsRunLengths(pattern) {
+  let zeros = 0
+  let one = false
+  for (let i = 0; i < 14; i++) {
+    if ((pattern >> i) & 1) {
+      if (one && zeros < 2) return false
+      one = true
+      zeros = 0
+    } else if (++zeros > 10) {
+      return false
+    }
+  }
+  return one
+}
+
+/* There are 267 patterns which respect the run lengths, and 258 of them are symbols, which
+   leaves 9 of them. These are the best candidates for an erasure symbol, since nothing but
+   the EFM lookup table can tell them apart from the valid symbols. The DSPs don't all handle
+   them the same way, so the encoder can use any of them, and the decoder tells which one it
+   got. They are written as 14-bits strings, the same way as the symbols above, so the last
+   bit of the bitstream comes first. The default erasure symbol is one of them. */
+const erasureCandidates = []
+for (let pattern = 0; pattern < 1 << 14; pattern++) {
+  if (reverse[pattern] === ERASURE && respectsRunLengths(pattern)) {
+    erasureCandidates.push(pattern.toString(2).padStart(14, '0'))
+  }
+}
+
+// Tells which of the candidates an invalid pattern is, as an index in the list above, or -1
+// if it's none of them.
+function classifyErasure(symbol) {
+  return erasureCandidates.indexOf(symbol.toString(2).padStart(14, '0'))
+}
+
+/* Turns an erasure symbol, given as a number or as a 14-bits string, into its pattern, and
+   checks that it can be used as one. Besides the candidates, any pattern which isn't a valid
+   symbol will do, as long as its 1s are at least 2 bits apart, since the merge bits can't
+   fix that. Such a pattern breaks the other run lengths, which may be the point of using it. */
+function parseErasure(value) {
+  const pattern = typeof value === 'string' && /^[01]{14}$/.test(value) ? parseInt(value, 2) : value
+  if (!Number.isInteger(pattern) || pattern < 0 || pattern >= 1 << 14) {
+    throw Error('Invalid erasure symbol: ' + value)
+  }
+  if (reverse[pattern] !== ERASURE) {
+    throw Error('Invalid erasure symbol ' + value + ': this is a valid EFM symbol')
+  }
+  for (let i = 0; i < 14; i++) {
+    if ((pattern >> i) & 1 && (pattern >> (i + 1)) & 3) {
+      throw Error('Invalid erasure symbol ' + value + ': its 1s are too close together')
+    }
+  }
+  return pattern
+}
+
+// The 24-bits sync pattern, after NRZ-I decoding, in the order the bits are read.
+const SYNC = 0b100000000001000000000010
+
+/* The EFM decoder is the counterpart of the encoder: a Stream Transform class that takes the NRZ-I
+   bitstream bytes as input, in the same Little Endian bit order the encoder writes, and outputs one
+   object per frame. The input can be single bytes, like the encoder outputs, or arrays, Buffers, or
+   Uint8Arrays of bytes, so that the encoder can be piped straight into the decoder, and so can a file.
+
+   The decoder hunts for the sync pattern, and once found, slices the 564 bits that follow into
+   merge bits and 33 symbols, discarding the merge bits. Each output frame has the following shape:
+     {
+       subchannel: the subchannel byte, or S0, S1, or ERASURE,
+       data: the 24 data bytes, in the order they appear in the frame,
+       c2: the 4 C2 bytes, already inverted back,
+       c1: the 4 C1 bytes, already inverted back,
+       erasures: 33 booleans, one per symbol, set when the 14-bits pattern was invalid
+       candidates: 33 values, one per symbol, null when the 14-bits pattern was valid, otherwise
+         the index of the erasure candidate it is, or -1 if it's none of them
+     }
+   Any invalid symbol is replaced by the ERASURE value in the data, c1, and c2 arrays. Bits before the
+   first sync pattern are discarded, and if a sync pattern shows up in the middle of a frame, the
+   partial frame is discarded, and decoding restarts from the new sync pattern. */
+class Decoder extends Transform {
+  constructor() {
+    super({ objectMode: true })
+    this.level = 0
+    this.window = 0
+    this.position = -1
+    this.symbols = []
+    this.symbol = 0
+  }
+
+  _getbit(level) {
+    // Undo the NRZ-I flip flop: a transition is a 1, no transition is a 0.
+    const bit = level ^ this.level
+    this.level = level
+    this.window = ((this.window << 1) | bit) & 0xffffff
+
+    // A sync pattern always starts a new frame, even if we were in the middle of one.
+    if (this.window === SYNC) {
+      this.position = 0
+      this.symbols = []
+      this.symbol = 0
+      return
+    }
+    if (this.position < 0) {
+      return
+    }
+
+    // Each symbol is preceded by 3 merge bits, which we simply skip.
+    const p = this.position++
+    const offset = p % 17
+    if (offset >= 3) {
+      this.symbol |= bit << (offset - 3)
+      if (offset === 16) {
+        this.symbols.push(this.symbol)
+        this.symbol = 0
+      }
+    }
+    // The last 3 merge bits of a frame are skipped too, and then we go back to hunting
+    // for the next sync pattern, which normally follows immediately.
+    if (this.position === 33 * 17 + 3) {
+      this.position = -1
+      this._putframe()
+    }
+  }
+
+  _putframe() {
+    const symbols = this.symbols.map(decodeSymbol)
+    const erasures = symbols.map(s => s === ERASURE)
+    // C1 and C2 are stored inverted, unless they're erased.
+    const invert = s => (s === ERASURE ? s : s ^ 0xff)
+    // Only the subchannel can legitimately be S0 or S1.
+    const byte = s => (s < 0 ? ERASURE : s)
+    this.push({
+      subchannel: symbols[0],
+      data: [].concat(symbols.slice(1, 13), symbols.slice(17, 29)).map(byte),
+      c2: symbols.slice(13, 17).map(byte).map(invert),
+      c1: symbols.slice(29, 33).map(byte).map(invert),
+      erasures,
+      candidates: this.symbols.map((symbol, i) => (erasures[i] ? classifyErasure(symbol) : null))
+    })
+  }
+
+  // The general _transform method, called by the nodejs Transform API.
+  _transform(data, encoding, callback) {
+    if (typeof data === 'number') {
+      data = [data]
+    }
+    if (Array.isArray(data) || Buffer.isBuffer(data) || util.types.isUint8Array(data)) {
+      for (const b of data) {
+        for (let mask = 1; mask !== 0x100; mask <<= 1) {
+          this._getbit((b & mask) === 0 ? 0 : 1)
+        }
+      }
+      callback()
+    } else {
+      callback(new Error('Improper input type'))
+    }
+  }
+
+  // Incomplete frames at the end of the stream are discarded. Reset the decoder.
+  _flush(callback) {
+    this.level = 0
+    this.window = 0
+    this.position = -1
+    this.symbols = []
+    this.symbol = 0
     callback()
   }
 }
 
 exports.Encoder = Encoder
+exports.Decoder = Decoder
+exports.decodeSymbol = decodeSymbol
+exports.erasureCandidates = erasureCandidates
+exports.classifyErasure = classifyErasure
+exports.parseErasure = parseErasure
 exports.S0 = S0
 exports.S1 = S1
 exports.ERASURE = ERASURE
-exports.symbols = { ...lut, S0: S0_symbol, S1: S1_symbol }
+exports.mergeStrategies = mergeStrategies
+exports.symbols = { ...lut, S0: S0_symbol, S1: S1_symbol, ERASURE: ERASURE_symbol }
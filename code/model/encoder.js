@@ -3,6 +3,7 @@
 const RingBuffer = require('ringbufferjs')
 const efm = require('./efm')
 const rs = require('./rs')
+const L1profile = require('./profile')
 
 /* Throughout the code, we will be referring to "lines" and "columns". One can see the
    input stream as an infinite number of lines, spread over 24 columns. The encoder
@@ -36,6 +37,25 @@ function tohex(d) {
   return s
 }
 
+// The C1 and C2 bytes are stored inverted, but an erased byte stays erased.
+function invert(v) {
+  return v === efm.ERASURE ? v : v ^ 0xff
+}
+
+// The EFM encoder can take erased symbols, but a plain file can't hold them, so they
+// just get a zero.
+function withoutErasures(writer, d) {
+  if (writer instanceof efm.Encoder || writer instanceof SymbolRecorder) {
+    return d
+  }
+  return Uint8Array.from(d, v => (v === efm.ERASURE ? 0 : v))
+}
+
+// Writes the 32 bytes of a frame.
+function writeFrame(writer, d) {
+  writer.write(d.includes(efm.ERASURE) ? withoutErasures(writer, d) : Uint8Array.from(d))
+}
+
 /* When reading into the past and future buffers, things are heavily scrambled and
    swizzled. It's easier to handle the back lookups using tables for the various
    shuffles. These were hand crafted based off the redbook information, as well
@@ -46,44 +66,80 @@ function tohex(d) {
    on the burner that encoded the input L2 stream. In other words, even if you have
    a perfect dump of a given disc, there's very little chance that burning it will
    produce the same L1 bitstream as the original, causing various sorts of subtle
-   delayed differences from the original.
+   delayed differences from the original. This is why the placement of the data is
+   taken from an L1 profile, see profile.js, while the C2 delays below are fixed, since
+   they are what the DSP uses to find the codewords.
 
    If one organizes the data in 98 lines of 24 columns, then the lookup makes some
    amount of sense using these tables. See the read-bits.js file for some more
    enlightenment on the data layout.
    */
-const swizzledColumn = [
-  5, 4, 13, 12, 21, 20, 7, 6,
-  15, 14, 23, 22, 9, 8, 17, 16,
-  1, 0, 11, 10, 19, 18, 3, 2
-]
-const delayedLine = [
-  106, 103, 98, 95, 90, 87, 82, 79, 74, 71, 66, 63,
-  44, 41, 36, 33, 29, 26, 20, 17, 12, 9, 5, 2
-]
 // Of COURSE C2 isn't the same delays as the data. That'd be too easy.
 const delayedC2Data = [
   107, 104, 99, 96, 91, 88, 83, 80, 75, 72, 67, 64,
   43, 40, 35, 32, 27, 24, 19, 16, 11, 8, 3, 0
 ]
 const delayedC2Locs = [59, 56, 51, 48]
-// We need to delay data a tiny bit for the digital data sync pattern. This ensures
-// the DSP doesn't miss the sync pattern, and that the data is properly aligned.
-// Otherwise, data sectors will be delayed much further. This is the smallest
-// delay that works.
-const delayedOffset = 2
+
+/* Turns an L1 profile into the data leads: for each of the 24 data bytes of an output
+   frame, in their order in the frame, the position of the input byte to grab, relative
+   to the start of the line of the frame. For instance, with the default encoder profile,
+   the first byte of frame 0 is byte 4 of line 101 of the input, so its lead is 2428.
+   Since the shift of the profile only matters modulo a sector, the leads can be moved
+   around by whole sectors, which only changes which sector of the input goes with which
+   subchannel sector. They start as early as possible, but without going negative.
+
+   The encoders only keep the previous sector, the current one, and the next two, as well
+   as 59 lines of past data, so the leads need to fit: the data of a frame, and the C2
+   bytes which C1 needs one frame later, have to be available at most 2 sectors after the
+   frame is emitted. If they don't, the leads are moved one sector earlier, which means
+   the first frames of a sector are grabbing data from the previous one. A profile which
+   doesn't fit either way can't be encoded by these encoders, even if the DSP would
+   decode it. */
+function dataLeads(profile) {
+  const { table, offset, shift } = profile
+  const leads = []
+  for (let c = 0; c < 24; c++) {
+    const column = c < 12 ? c : c + 4
+    const d = table.findIndex(e => e[1] === column)
+    leads.push((offset - table[d][0]) * 24 + d - (2352 - shift) % 2352)
+  }
+  const fits = () => leads.every((lead, c) => {
+    const line = Math.floor(lead / 24)
+    return lead >= -2352 && line <= 195 && line - delayedC2Data[c] <= 136
+  })
+  const sectors = Math.floor(Math.min(...leads) / 2352)
+  for (let c = 0; c < 24; c++) leads[c] -= sectors * 2352
+  if (!fits()) {
+    for (let c = 0; c < 24; c++) leads[c] -= 2352
+  }
+  if (!fits()) {
+    throw Error('Invalid profile ' + profile.name + ': the data is spread too far apart for the encoder')
+  }
+  return leads
+}
+
+/* Gets the number of trailing frames after a flush which only hold padding data. The
+   last line of input data goes into the frames until the smallest lead, so with leads
+   going into the previous sector, this is less than the two padding sectors. */
+function paddingFrames(leads) {
+  return (Encoder.paddingSectors - 2) * 98 + Math.min(0, Math.floor(Math.min(...leads) / 24))
+}
 
 /* This class will write bytes to the passed writer as sectors are pushed to it. The
    writer may be the EFM encoder Transform, or a simple file. */
 class Encoder {
-  constructor(writer) {
+  constructor(writer, profile = L1profile.load('encoder')) {
     this.writer = writer
-    // The sectors queue is 3 sectors deep, because we need to compute the ECC bytes
+    this.leads = dataLeads(profile)
+    // The sectors queue is 4 sectors deep, because we need to compute the ECC bytes
     // for the current sector, as well as the next two sectors, at worst. The last
-    // sector will be barely used by the encoder, but such is life. A real hardware
-    // encoder might want to use 4 sectors worth of ring buffer, in order to start
-    // gathering the next sector from storage while the current three are being processed.
-    this.sectorsQueue = new RingBuffer(3)
+    // sector will be barely used by the encoder, but such is life. The previous sector
+    // is also kept, for the L1 profiles which grab data from it, see dataLeads above.
+    // A real hardware encoder might want to use 5 sectors worth of ring buffer, in order
+    // to start gathering the next sector from storage while the current ones are being
+    // processed.
+    this.sectorsQueue = new RingBuffer(4)
     // Due to the various delays, we don't need much past subchannel data, so we
     // only keep two frames worth of subchannel data.
     this.subChannelQueue = new RingBuffer(2)
@@ -92,32 +148,61 @@ class Encoder {
     // data which we have already processed. This is 59 lines deep, and needs to
     // contain 28 symbols per line.
     this.pastData = new RingBuffer(59)
-    // In other words: the sectors queue ought to be 4 * 2352 = 9408 bytes,
+    // In other words: the sectors queue ought to be 5 * 2352 = 11760 bytes,
     // the subchannel queue ought to be 2 * 96 = 192 bytes, and the past data
     // queue ought to be 59 * 28 = 1652 symbols.
 
     this.counter = 0
     this.debug = false
-    /* Adding silence as past data. This could also be the ERASURE symbol. If we
-       need to restart the encoder quickly after a seek for instance, right now
-       we must feed 3 sectors worth of input data in order to ensure all the data
-       is safely encoded, as the DSP has to de-swizzle them. If we were to
-       immediately emit data from the get-go with silence as the prefix, then
-       the swizzled data will be incorrect as the ECCs will go over them. If
-       instead we emit erasures, and change the ECC encoder to emit erasures when
-       encountering an erasure as input, then this may force the DSP to discard
-       properly the data. All of this hasn't been tested yet.
-       */
+    this.prime(false)
+  }
+
+  /* Fills the past data with either silence or erasures. If we need to restart the
+     encoder quickly after a seek for instance, we must feed 3 sectors worth of input
+     data in order to ensure all the data is safely encoded, as the DSP has to
+     de-swizzle them. If we were to immediately emit data from the get-go with silence
+     as the prefix, then the swizzled data will be incorrect as the ECCs will go over
+     them. If instead we emit erasures, and the ECC encoders emit erasures when
+     encountering an erasure as input, then this may force the DSP to discard properly
+     the data: every codeword straddling the seek gets erased parity bytes, which the
+     DSP will see as invalid symbols instead of trying to correct stale data with them.
+     */
+  prime(erase) {
     for (let s = 0; s < 59; s++) {
       const b = []
       for (let c = 0; c < 28; c++) {
-        // "Silence" means that C2 is 0xff, as it's an inverted value. So one
-        // silent row with audio + C2 has the following shape:
-        //   00 [ ... 12 bytes ... ] 00 ff ff ff ff 00 [ ... 12 bytes ... ] 00
-        b[c] = ((c < 12) || (c > 15)) ? 0 : 0xff
+        if (erase) {
+          b[c] = efm.ERASURE
+        } else {
+          // "Silence" means that C2 is 0xff, as it's an inverted value. So one
+          // silent row with audio + C2 has the following shape:
+          //   00 [ ... 12 bytes ... ] 00 ff ff ff ff 00 [ ... 12 bytes ... ] 00
+          b[c] = ((c < 12) || (c > 15)) ? 0 : 0xff
+        }
       }
       this.pastData.enq(b)
     }
+    // Same for the previous sector, which is only used by some L1 profiles.
+    this.sectorsQueue.enq(new Array(2352).fill(erase ? efm.ERASURE : 0))
+  }
+
+  /* Emulates a seek: whatever was queued is dropped, and the past data is erased, so
+     that the next sectors queued, starting at the given LBA, are encoded as if the
+     stream had been interrupted. The LBA is only used as the sector counter for the
+     debug output. Same as at the very beginning, nothing is emitted until 3 sectors
+     have been queued again.
+     This loses data: the two sectors which were still queued are never emitted, and the
+     bytes of the sector at the given LBA, and of the next one, which would have been in
+     the frames before the seek, are never emitted either. With the encoder profile, this
+     is 1231 bytes of the first one, and 9 of the second one. A decoder takes them from the
+     stale frames before the seek, and can't tell, since the C2 codewords straddling the
+     seek have their 4 parity bytes erased, which it can always fill in. In order to get a
+     sector intact, restart two sectors before it. */
+  restart(lba = 0) {
+    this.sectorsQueue = new RingBuffer(4)
+    this.subChannelQueue = new RingBuffer(2)
+    this.prime(true)
+    this.counter = lba
   }
 
   setDebug(debug) {
@@ -142,15 +227,17 @@ class Encoder {
     }
     this.sectorsQueue.enq(sector)
     this.subChannelQueue.enq(subChannel)
-    if (this.sectorsQueue.size() < 3) {
+    if (this.sectorsQueue.size() < 4) {
       return
     }
     subChannel = this.subChannelQueue.peek()
-    /* We gather the sector data for three sectors worth of future data. Ideally, we
-       should just be able to use the ring buffer directly, but the library doesn't
-       support that.
+    /* We gather the sector data for three sectors worth of future data, and the previous
+       sector. Ideally, we should just be able to use the ring buffer directly, but the
+       library doesn't support that. The input accessor grabs the byte for the data
+       column c of the frame, given the line of the current sector that frame is at.
        */
-    const sectors = [].concat(...this.sectorsQueue.peekN(3))
+    const sectors = [].concat(...this.sectorsQueue.peekN(4))
+    const input = (line, c) => sectors[2352 + line * 24 + this.leads[c]]
     // While this loop goes over 98 lines of input sector data, the general encoding
     // algorithm in there doesn't really care about which line it's at.
     for (let i = 0; i < 98; i++) {
@@ -168,15 +255,11 @@ class Encoder {
       const p2 = []
       /* All of our data is in the future, so grab data from there */
       for (let c = 0; c < 12; c++) {
-        const lin = delayedLine[c] + i - delayedOffset
-        const col = swizzledColumn[c]
-        const v = sectors[lin * 24 + col]
+        const v = input(i, c)
         p1.push(v)
       }
       for (let c = 12; c < 24; c++) {
-        const lin = delayedLine[c] + i - delayedOffset
-        const col = swizzledColumn[c]
-        const v = sectors[lin * 24 + col]
+        const v = input(i, c)
         p2.push(v)
       }
 
@@ -225,9 +308,7 @@ class Encoder {
           const dd = delayedC2Data[c]
           const dl = delayedC2Locs[n]
           const d = dl - dd
-          const lin = delayedLine[c] + i + d - delayedOffset
-          const col = swizzledColumn[c]
-          v2.push(sectors[lin * 24 + col])
+          v2.push(input(i + d, c))
         }
         // This is all the data we need to compute C2.
         const v = [].concat(v1, v2)
@@ -239,12 +320,12 @@ class Encoder {
           }
           const hc2 = []
           for (let i = 0; i < c2.length; i++) {
-            hc2[i] = tohex(c2[i] ^ 0xff)
+            hc2[i] = tohex(invert(c2[i]))
           }
           console.log('s' + (this.counter + '').padStart(2, '0') + 'f' + (i + '').padStart(2, '0') + ': computing C2[' + n + '] over: ' + hcoeffs + ' and got ' + hc2)
         }
         // The C2 data is inverted, so we need to XOR it with 0xff for the storage.
-        c2v.push(c2[n] ^ 0xff)
+        c2v.push(invert(c2[n]))
       }
 
       const c2f = []
@@ -273,9 +354,7 @@ class Encoder {
           const dd = delayedC2Data[c]
           const dl = delayedC2Locs[n * 2] + 1
           const d = dl - dd
-          const lin = delayedLine[c] + i + d - delayedOffset
-          const col = swizzledColumn[c]
-          v2.push(sectors[lin * 24 + col])
+          v2.push(input(i + d, c))
         }
         const v = [].concat(v1, v2)
         const c2 = rs.encodeC2(v)
@@ -286,7 +365,7 @@ class Encoder {
           }
           const hc2 = []
           for (let i = 0; i < c2.length; i++) {
-            hc2[i] = tohex(c2[i] ^ 0xff)
+            hc2[i] = tohex(invert(c2[i]))
           }
           console.log('s' + (this.counter + '').padStart(2, '0') + 'f' + (i + '').padStart(2, '0') + ': computing C2f[' + n + '] over: ' + hcoeffs + ' and got ' + hc2)
         }
@@ -312,16 +391,14 @@ class Encoder {
                re-invert the data coming from the data line we're emitting.
                */
             v.push(c2f[0])
-            v.push(c2v[1] ^ 0xff)
+            v.push(invert(c2v[1]))
             v.push(c2f[1])
-            v.push(c2v[3] ^ 0xff)
+            v.push(invert(c2v[3]))
           }
           const dd = c % 2
           const dl = 1
           const d = dl - dd
-          const lin = delayedLine[c] + i + d - delayedOffset
-          const col = swizzledColumn[c]
-          v.push(sectors[lin * 24 + col])
+          v.push(input(i + d, c))
         }
         const c1 = rs.encodeC1(v)
         if (this.debug) {
@@ -331,12 +408,12 @@ class Encoder {
           }
           const hc1 = []
           for (let i = 0; i < c1.length; i++) {
-            hc1[i] = tohex(c1[i] ^ 0xff)
+            hc1[i] = tohex(invert(c1[i]))
           }
           console.log('s' + (this.counter + '').padStart(2, '0') + 'f' + (i + '').padStart(2, '0') + ': computing C1[1,3] over: ' + hcoeffs + ' and got ' + hc1)
         }
-        c1v[1] = c1[1] ^ 0xff
-        c1v[3] = c1[3] ^ 0xff
+        c1v[1] = invert(c1[1])
+        c1v[3] = invert(c1[3])
       }
 
       /* The second time we compute C1 will be with a delay of 0, for slots 0 and 2 of the ECC
@@ -349,18 +426,16 @@ class Encoder {
           if (c === 12) {
             /* The case where we compute with a delay of 0 means we're looking at
                current C2 on even bytes, and past C2 on odd bytes. */
-            v.push(c2v[0] ^ 0xff)
-            v.push(past[58 * 28 + 13] ^ 0xff)
-            v.push(c2v[2] ^ 0xff)
-            v.push(past[58 * 28 + 15] ^ 0xff)
+            v.push(invert(c2v[0]))
+            v.push(invert(past[58 * 28 + 13]))
+            v.push(invert(c2v[2]))
+            v.push(invert(past[58 * 28 + 15]))
           }
           const dd = c % 2
           const dl = 0
           const d = dd - dl
           if (dd === 0) {
-            const lin = delayedLine[c] + i + d - delayedOffset
-            const col = swizzledColumn[c]
-            v.push(sectors[lin * 24 + col])
+            v.push(input(i + d, c))
           } else {
             const lin = 58
             v.push(past[lin * 28 + c + ((c >= 12) ? 4 : 0)])
@@ -374,12 +449,12 @@ class Encoder {
           }
           const hc1 = []
           for (let i = 0; i < c1.length; i++) {
-            hc1[i] = tohex(c1[i] ^ 0xff)
+            hc1[i] = tohex(invert(c1[i]))
           }
           console.log('s' + (this.counter + '').padStart(2, '0') + 'f' + (i + '').padStart(2, '0') + ': computing C1[0,2] over: ' + hcoeffs + ' and got ' + hc1)
         }
-        c1v[0] = c1[0] ^ 0xff
-        c1v[2] = c1[2] ^ 0xff
+        c1v[0] = invert(c1[0])
+        c1v[2] = invert(c1[2])
       }
 
       // We're done computing the data for this line, so we can now emit it.
@@ -387,7 +462,7 @@ class Encoder {
       // is to avoid having to write C1/C2 in way longer and bigger buffers.
       const d = [].concat(p1, c2v, p2, c1v)
       if (this.writer) {
-        this.writer.write(Uint8Array.from(d))
+        writeFrame(this.writer, d)
       }
 
       if (this.debug) {
@@ -403,6 +478,308 @@ class Encoder {
     }
     this.counter++
   }
+
+  /* Since the output is delayed by two sectors, the last two sectors queued are still
+     sitting in the queue at the end of the input, and they need some padding to be pushed
+     out. But that's not all: C2 covers bytes up to 107 lines apart, and C1 one more line,
+     so the parity bytes protecting the last data lines are only emitted about 108 lines
+     later, which means two more sectors of padding. The pad callback is called with the
+     padding sector number, from 0 to 3, and needs to return an array with the sector, and
+     its subchannel if the writer requires it, same as the arguments of queue. This is where
+     the caller decides what the padding is, like silence, digital zero, or the lead-out.
+     This returns the number of trailing frames which only hold padding data, and whose
+     only purpose is to carry the last parity bytes. These can be dropped by a caller who
+     doesn't care about protecting the end of the data. */
+  flush(pad) {
+    if (this.sectorsQueue.size() === 1) {
+      return 0
+    }
+    for (let n = 0; n < Encoder.paddingSectors; n++) {
+      this.queue(...pad(n))
+    }
+    // The last sector emitted becomes the previous one.
+    const previous = this.sectorsQueue.peekN(4)[1]
+    this.sectorsQueue = new RingBuffer(4)
+    this.sectorsQueue.enq(previous)
+    this.subChannelQueue = new RingBuffer(2)
+    return paddingFrames(this.leads)
+  }
+}
+
+Encoder.paddingSectors = 4
+
+/* This is the second proof of concept encoder, which is using more ram and delays, but
+   less computation. Instead of recomputing the C2 and C1 bytes from the input sectors each
+   time they show up in an output frame, it writes everything exactly once into a big ring
+   buffer of output rows, at the place where it will be emitted. Each row is 32 symbols,
+   laid out as the output frame: 12 data bytes, 4 C2 bytes, 12 data bytes, and 4 C1 bytes.
+
+   Everything is indexed by absolute numbers. Input line L is the L-th line of 24 bytes of
+   the input stream, and output row F is the F-th frame being emitted. The data leads tell
+   us that data byte c of row F is the byte lead[c] % 24 of line F + floor(lead[c] / 24).
+   The C2 codewords are then spread diagonally across the rows, with delayedC2Data for the
+   data bytes, and delayedC2Locs for the parity bytes: the codeword with base B has its
+   data byte c in row B - delayedC2Data[c], and its parity byte j in row
+   B - delayedC2Locs[j]. The last line it needs is B plus the lag computed below, so it
+   is computed as soon as that line comes in. With the default profile, the lag is -1,
+   meaning the codeword with base L + 1 is complete once the line L is in. Finally,
+   the C1 codeword E takes the even columns of row E, and the odd columns of row E - 1,
+   over all 32 columns, including its own parity bytes. It can only be computed once the C2
+   bytes of row E are known, which means right before emitting row E - 1.
+
+   In order to output the very same bytes as the Encoder class, this one also emits the
+   frames of a sector once two more sectors have been queued, pairs them with the
+   subchannel of the next sector, and has the same flush and restart behavior. The price
+   for computing each codeword only once is a ring buffer of 512 rows, or 16KB, instead of
+   59 rows of past data, since up to 4 sectors of rows are waiting to be emitted when the
+   profile grabs data from the previous sector, and the C2 codewords reach 107 rows back. */
+const ringRows = 512
+
+class RingEncoder {
+  constructor(writer, profile = L1profile.load('encoder')) {
+    this.writer = writer
+    this.leads = dataLeads(profile)
+    this.lag = Math.max(...this.leads.map((lead, c) => Math.floor(lead / 24) - delayedC2Data[c]))
+    this.ring = []
+    for (let r = 0; r < ringRows; r++) {
+      this.ring.push(new Array(32).fill(0))
+    }
+    this.counter = 0
+    this.debug = false
+    this.emitted = 0
+    this.rebase(false)
+  }
+
+  setDebug(debug) {
+    this.debug = debug
+  }
+
+  row(f) {
+    return this.ring[((f % ringRows) + ringRows) % ringRows]
+  }
+
+  /* Starts a new input stream right after the last emitted row, same as when the classic
+     encoder empties its queues. The rows before that are the past data, which are either
+     kept as is, or erased to emulate a seek. Nothing needs to be cleared after that, since
+     every byte of the new rows is written before being read, except for the bytes coming
+     from the previous sector when the profile has negative leads. These are silence at
+     the very beginning, erased after a seek, or left as is after a flush, and the C2
+     codewords they complete are computed right away. */
+  rebase(erase) {
+    this.origin = this.emitted
+    this.lines = 0
+    this.sectors = 0
+    this.subChannels = []
+    this.nextC1 = this.origin
+    if (erase) {
+      for (let f = this.origin - 59; f < this.origin; f++) {
+        this.row(f).fill(efm.ERASURE)
+      }
+    } else if (this.origin === 0) {
+      // Same silence as the classic encoder, where C2 is stored inverted.
+      for (let f = -59; f < 0; f++) {
+        const row = this.row(f)
+        for (let c = 0; c < 28; c++) {
+          row[c] = ((c < 12) || (c > 15)) ? 0 : 0xff
+        }
+      }
+    }
+    for (let c = 0; c < 24; c++) {
+      for (let f = this.origin; f < this.origin - Math.floor(this.leads[c] / 24); f++) {
+        if (erase || this.origin === 0) {
+          this.row(f)[c < 12 ? c : c + 4] = erase ? efm.ERASURE : 0
+        }
+      }
+    }
+    for (let b = this.origin + delayedC2Locs[3]; b < this.origin - this.lag; b++) {
+      this.c2(b)
+    }
+  }
+
+  // Same as the classic encoder.
+  queue(sector, subChannel) {
+    if (Buffer.isBuffer(sector)) {
+      sector = [...sector]
+    }
+    this.subChannels.push(subChannel)
+    if (this.subChannels.length > 3) {
+      this.subChannels.shift()
+    }
+    this.sectors++
+    for (let l = 0; l < 98; l++) {
+      this.line(sector.slice(l * 24, l * 24 + 24))
+    }
+    while (this.emitted < this.origin + (this.sectors - 2) * 98) {
+      this.emit()
+    }
+  }
+
+  // Spreads an input line into the rows, and computes the C2 codeword it completes.
+  line(data) {
+    const l = this.origin + this.lines++
+    for (let c = 0; c < 24; c++) {
+      const f = l - Math.floor(this.leads[c] / 24)
+      if (f >= this.origin) {
+        this.row(f)[c < 12 ? c : c + 4] = data[((this.leads[c] % 24) + 24) % 24]
+      }
+    }
+    this.c2(l - this.lag)
+  }
+
+  // Computes the C2 codeword B.
+  c2(b) {
+    // The parity bytes of this codeword which would land before the origin belong to
+    // rows which were already emitted, so there's no need to compute it at all.
+    if (b - delayedC2Locs[3] < this.origin) return
+    const v = []
+    for (let c = 0; c < 24; c++) {
+      v.push(this.row(b - delayedC2Data[c])[c < 12 ? c : c + 4])
+    }
+    const c2 = rs.encodeC2(v)
+    if (this.debug) {
+      console.log('b' + b + ': computing C2 over: ' + v.map(tohex) + ' and got ' + c2.map(tohex))
+    }
+    for (let j = 0; j < 4; j++) {
+      const f = b - delayedC2Locs[j]
+      if (f >= this.origin) {
+        this.row(f)[12 + j] = invert(c2[j])
+      }
+    }
+  }
+
+  // Computes the C1 codeword E. It goes over the C2 bytes before their inversion.
+  c1(e) {
+    const v = []
+    for (let b = 0; b < 28; b++) {
+      const s = this.row(e - (b % 2))[b]
+      v.push((b >= 12 && b < 16) ? invert(s) : s)
+    }
+    const c1 = rs.encodeC1(v)
+    if (this.debug) {
+      console.log('e' + e + ': computing C1 over: ' + v.map(tohex) + ' and got ' + c1.map(tohex))
+    }
+    for (let j = 0; j < 4; j++) {
+      const f = e - (j % 2)
+      if (f >= this.origin) {
+        this.row(f)[28 + j] = invert(c1[j])
+      }
+    }
+  }
+
+  emit() {
+    const f = this.emitted++
+    while (this.nextC1 <= f + 1) {
+      this.c1(this.nextC1++)
+    }
+    const i = (f - this.origin) % 98
+    const subChannel = this.subChannels[this.subChannels.length - 2]
+    if (Array.isArray(subChannel) && this.writer) {
+      this.writer.write([i === 0 ? efm.S0 : (i === 1 ? efm.S1 : subChannel[i - 2])])
+    }
+    const d = [...this.row(f)]
+    if (this.writer) {
+      writeFrame(this.writer, d)
+    }
+    if (this.debug) {
+      console.log('s' + (this.counter + '').padStart(2, '0') + 'f' + (i + '').padStart(2, '0') + ': final data: ' + d.map(tohex))
+    }
+    if (i === 97) {
+      this.counter++
+    }
+  }
+
+  // Same as the classic encoder.
+  flush(pad) {
+    if (this.sectors === 0) {
+      return 0
+    }
+    for (let n = 0; n < Encoder.paddingSectors; n++) {
+      this.queue(...pad(n))
+    }
+    this.rebase(false)
+    return paddingFrames(this.leads)
+  }
+
+  // Same as the classic encoder.
+  restart(lba = 0) {
+    this.rebase(true)
+    this.counter = lba
+  }
+}
+
+/* Records whatever an encoder writes, symbol by symbol, erasures included. */
+class SymbolRecorder {
+  constructor() {
+    this.symbols = []
+    this.writes = []
+  }
+
+  write(data) {
+    this.writes.push(data)
+    for (const s of data) this.symbols.push(s)
+  }
+}
+
+/* Runs both encoders side by side on the same input, and asserts that they're writing the
+   exact same symbols. The output of the classic encoder then goes to the actual writer. */
+class CrossCheckEncoder {
+  constructor(writer, profile) {
+    this.writer = writer
+    this.recorders = [new SymbolRecorder(), new SymbolRecorder()]
+    this.encoders = [new Encoder(this.recorders[0], profile), new RingEncoder(this.recorders[1], profile)]
+    this.checked = 0
+  }
+
+  setDebug(debug) {
+    this.encoders[0].setDebug(debug)
+  }
+
+  check() {
+    const [a, b] = this.recorders.map(r => r.symbols)
+    const length = Math.max(a.length, b.length)
+    for (let i = 0; i < length; i++) {
+      if (a[i] !== b[i]) {
+        throw Error('Encoders mismatch at symbol ' + (this.checked + i) + ': ' + a[i] + ' vs ' + b[i])
+      }
+    }
+    this.checked += length
+    // The recorders take the erased symbols as they are, and the writer may not.
+    for (const data of this.recorders[0].writes) {
+      if (this.writer) {
+        this.writer.write(data.includes(efm.ERASURE) ? withoutErasures(this.writer, data) : data)
+      }
+    }
+    for (const recorder of this.recorders) {
+      recorder.symbols = []
+      recorder.writes = []
+    }
+  }
+
+  queue(sector, subChannel) {
+    for (const encoder of this.encoders) encoder.queue(sector, subChannel)
+    this.check()
+  }
+
+  flush(pad) {
+    // The padding sectors are generated once, and given to both encoders.
+    const padding = []
+    const ret = this.encoders[0].flush(n => (padding[n] = pad(n)))
+    this.encoders[1].flush(n => padding[n])
+    this.check()
+    return ret
+  }
+
+  restart(lba = 0) {
+    for (const encoder of this.encoders) encoder.restart(lba)
+  }
 }
 
 exports.Encoder = Encoder
+exports.RingEncoder = RingEncoder
+exports.CrossCheckEncoder = CrossCheckEncoder
+exports.SymbolRecorder = SymbolRecorder
+// These are for the fast path, see fast.js.
+exports.dataLeads = dataLeads
+exports.paddingFrames = paddingFrames
+exports.delayedC2Data = delayedC2Data
+exports.delayedC2Locs = delayedC2Locs
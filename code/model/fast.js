@@ -0,0 +1,443 @@
+'use strict'
+
+const efm = require('./efm')
+const gf = require('./gf')
+const rs = require('./rs')
+const encoder = require('./encoder')
+const L1profile = require('./profile')
+
+/* This is the fast path of the encoder, for when the readable one is just too slow, like
+   when encoding a full disc. It produces the very same bytes as the Encoder class followed
+   by the efm.Encoder transform, but without any of the niceties which make them readable.
+   It is laid out like the RingEncoder, see encoder.js, since computing each codeword only
+   once is the cheapest option, and then goes through the following tricks:
+   - All of the buffers are preallocated typed arrays, and nothing is copied around. The
+     ring of rows is a power of two, so indexing it is a simple mask.
+   - Each codeword is computed exactly once, and all of its parity bytes are used, so
+     the four of them are computed at once: the parity tables below give the contribution
+     of a data byte at a given position to the four parity bytes, packed into 32 bits.
+     This is the specialization suggested in the readable encoder, pushed all the way.
+   - The EFM encoding goes through tables which give, for each symbol and each state of
+     the merge bits algorithm, the 17 bits of the merge bits and the symbol, already
+     NRZ-I encoded, so the bits are never handled one by one.
+   - The output is written in large Buffer chunks instead of single bytes.
+   Erased symbols, from a restart, are tracked in a parallel array of flags, which is only
+   looked at around the rows which may have some. */
+
+const ringRows = 512
+const chunkSize = 1 << 20
+
+// The contributions of each data byte to the parity bytes, for C1 and C2.
+function parityTable(matrix, length) {
+  const table = new Uint32Array(length * 256)
+  for (let i = 0; i < length; i++) {
+    for (let v = 1; v < 256; v++) {
+      let p = 0
+      for (let j = 0; j < 4; j++) {
+        p |= gf.exp(gf.log(v) + matrix[i * 4 + j]) << (j * 8)
+      }
+      table[i * 256 + v] = p
+    }
+  }
+  return table
+}
+const c1Table = parityTable(rs.c1s, 28)
+const c2Table = parityTable(rs.c2s, 24)
+
+/* The EFM tables. The symbols are numbered 0 to 255 for the bytes, and then S0, S1, and
+   ERASURE. For each of the 4 possible values of the last two bits, and each symbol, the
+   table holds the 3 merge bits and the 14 bits of the symbol, in output order, once NRZ-I
+   encoded starting from a low level, with the parity of the transitions in bit 17, and the
+   new last two bits in bits 18 and 19. This is the same eager merge bits algorithm as
+   efm.Encoder, which is run here bit by bit to build the tables, so they can't differ. */
+const S0 = 256
+const S1 = 257
+const ERASURE = 258
+const symbols = [...Array(256).keys()].map(b => efm.symbols[b])
+symbols.push(efm.symbols.S0, efm.symbols.S1, efm.symbols.ERASURE)
+
+function nrzi(bits, count, lastfew) {
+  let level = 0
+  let out = 0
+  for (let i = 0; i < count; i++) {
+    const bit = (bits >> i) & 1
+    lastfew = ((lastfew << 1) | bit) & 3
+    level ^= bit
+    out |= level << i
+  }
+  return out | (level << count) | (lastfew << (count + 1))
+}
+
+function mergeBits(lastfew, next) {
+  const val = (lastfew << 2) | (next & 3)
+  if ((val & 5) === 0) return 0b010
+  if (val === 1) return 0b001
+  if (val === 4) return 0b100
+  return 0
+}
+
+const symbolTable = new Uint32Array(4 * symbols.length)
+for (let lastfew = 0; lastfew < 4; lastfew++) {
+  symbols.forEach((symbol, s) => {
+    symbolTable[lastfew * symbols.length + s] = nrzi(mergeBits(lastfew, symbol) | (symbol << 3), 17, lastfew)
+  })
+}
+// The same table, with another erasure symbol.
+function erasureTable(erasure) {
+  const table = symbolTable.slice()
+  for (let lastfew = 0; lastfew < 4; lastfew++) {
+    table[lastfew * symbols.length + ERASURE] = nrzi(mergeBits(lastfew, erasure) | (erasure << 3), 17, lastfew)
+  }
+  return table
+}
+
+// The sync pattern, and the merge bits at the end of a frame, which only depend on the
+// last two bits, since the next bits are always the beginning of the sync pattern.
+const syncBits = nrzi(0b010000000000100000000001, 24, 0)
+const endTable = new Uint32Array(4)
+for (let lastfew = 0; lastfew < 4; lastfew++) {
+  endTable[lastfew] = nrzi(mergeBits(lastfew, 1), 3, lastfew)
+}
+
+// For the text output, the 8 characters of each byte.
+const textTable = Buffer.alloc(256 * 8)
+for (let b = 0; b < 256; b++) {
+  for (let i = 0; i < 8; i++) {
+    textTable[b * 8 + i] = (b >> i) & 1 ? 0x31 : 0x30
+  }
+}
+
+// Turns binary bitstream bytes into their text format.
+function toText(chunk) {
+  const text = Buffer.allocUnsafe(chunk.length * 8)
+  for (let i = 0; i < chunk.length; i++) {
+    textTable.copy(text, i * 8, chunk[i] * 8, chunk[i] * 8 + 8)
+  }
+  return text
+}
+
+/* The writer is a simple Writable stream, like a file. The options tell if the output is
+   the EFM bitstream, in binary or text format, or the raw frames, same as what index.js
+   does with the Encoder class. The rest of the interface is the same as the Encoder class,
+   plus the end method which writes out what's left, and must be called at the end. Like
+   the Encoder class, the subchannel is mandatory for the EFM output, and forbidden for
+   the raw frames. The sectors need to be bytes, as only a restart introduces erasures. The
+   EFM tables bake in the eager merge bits strategy, so it is the only one available. The
+   erasure option selects the erasure symbol, same as the efm.Encoder one. */
+class FastEncoder {
+  constructor(writer, profile = L1profile.load('encoder'), options = {}) {
+    if ((options.merge ?? 'eager') !== 'eager') {
+      throw Error('The fast encoder only supports the eager merge bits strategy')
+    }
+    this.writer = writer
+    this.symbolTable = options.erasure === undefined ? symbolTable : erasureTable(efm.parseErasure(options.erasure))
+    this.efm = !!options.efm
+    this.text = !!options.text
+    const leads = encoder.dataLeads(profile)
+    this.leads = leads
+    this.leadLines = Int32Array.from(leads, lead => Math.floor(lead / 24))
+    this.leadBytes = Int32Array.from(leads, lead => ((lead % 24) + 24) % 24)
+    this.columns = Int32Array.from(leads, (lead, c) => (c < 12 ? c : c + 4))
+    this.c2Data = Int32Array.from(encoder.delayedC2Data)
+    this.c2Locs = Int32Array.from(encoder.delayedC2Locs)
+    this.lag = Math.max(...leads.map((lead, c) => this.leadLines[c] - this.c2Data[c]))
+    this.ring = new Uint8Array(ringRows * 32)
+    this.erased = new Uint8Array(ringRows * 32)
+    // No flag is set from this row onward.
+    this.erasedUntil = 0
+    this.subChannels = []
+    // The state of the output.
+    this.chunk = Buffer.allocUnsafe(chunkSize)
+    this.position = 0
+    this.bits = 0
+    this.bitCount = 0
+    this.level = 0
+    this.lastfew = 0
+    this.column = 0
+    this.counter = 0
+    this.emitted = 0
+    // Same silence as the classic encoder, where C2 is stored inverted.
+    for (let f = -59; f < 0; f++) {
+      this.ring.fill(0xff, this.index(f) + 12, this.index(f) + 16)
+    }
+    this.rebase(false)
+  }
+
+  setDebug(debug) {
+    if (debug) {
+      throw Error('The fast encoder has no debug output')
+    }
+  }
+
+  index(f) {
+    return (f & (ringRows - 1)) << 5
+  }
+
+  setErased(i, f) {
+    this.erased[i] = 1
+    if (f >= this.erasedUntil) this.erasedUntil = f + 1
+  }
+
+  // Same as the RingEncoder.
+  rebase(erase) {
+    this.origin = this.emitted
+    this.lines = 0
+    this.sectors = 0
+    this.subChannels = []
+    this.nextC1 = this.origin
+    if (erase) {
+      for (let f = this.origin - 59; f < this.origin; f++) {
+        for (let c = 0; c < 28; c++) this.setErased(this.index(f) + c, f)
+      }
+    }
+    for (let c = 0; c < 24; c++) {
+      for (let f = this.origin; f < this.origin - this.leadLines[c]; f++) {
+        const i = this.index(f) + this.columns[c]
+        if (erase) {
+          this.setErased(i, f)
+        } else if (this.origin === 0) {
+          this.ring[i] = 0
+          this.erased[i] = 0
+        }
+      }
+    }
+    for (let b = this.origin + this.c2Locs[3]; b < this.origin - this.lag; b++) {
+      this.c2(b)
+    }
+  }
+
+  queue(sector, subChannel) {
+    this.subChannels.push(subChannel)
+    if (this.subChannels.length > 3) {
+      this.subChannels.shift()
+    }
+    this.sectors++
+    const { ring, erased, leadLines, leadBytes, columns } = this
+    for (let line = 0; line < 98; line++) {
+      const l = this.origin + this.lines++
+      const base = line * 24
+      for (let c = 0; c < 24; c++) {
+        const f = l - leadLines[c]
+        if (f >= this.origin) {
+          const i = this.index(f) + columns[c]
+          ring[i] = sector[base + leadBytes[c]]
+          erased[i] = 0
+        }
+      }
+      this.c2(l - this.lag)
+    }
+    while (this.emitted < this.origin + (this.sectors - 2) * 98) {
+      this.emit()
+    }
+  }
+
+  c2(b) {
+    const { ring, erased, c2Data, c2Locs, columns } = this
+    if (b - c2Locs[3] < this.origin) return
+    let p = 0
+    let isErased = false
+    const check = b - c2Data[0] < this.erasedUntil
+    for (let c = 0; c < 24; c++) {
+      const i = this.index(b - c2Data[c]) + columns[c]
+      p ^= c2Table[(c << 8) | ring[i]]
+      if (check && erased[i]) isErased = true
+    }
+    for (let j = 0; j < 4; j++) {
+      const f = b - c2Locs[j]
+      if (f < this.origin) continue
+      const i = this.index(f) + 12 + j
+      ring[i] = ~(p >>> (j * 8))
+      if (isErased) {
+        this.setErased(i, f)
+      } else {
+        erased[i] = 0
+      }
+    }
+  }
+
+  c1(e) {
+    const { ring, erased } = this
+    const even = this.index(e)
+    const odd = this.index(e - 1)
+    let p = 0
+    let isErased = false
+    const check = e - 1 < this.erasedUntil
+    for (let b = 0; b < 28; b++) {
+      const i = ((b & 1) ? odd : even) + b
+      const v = (b >= 12 && b < 16) ? ring[i] ^ 0xff : ring[i]
+      p ^= c1Table[(b << 8) | v]
+      if (check && erased[i]) isErased = true
+    }
+    for (let j = 0; j < 4; j++) {
+      const f = e - (j & 1)
+      if (f < this.origin) continue
+      const i = ((j & 1) ? odd : even) + 28 + j
+      ring[i] = ~(p >>> (j * 8))
+      if (isErased) {
+        this.setErased(i, f)
+      } else {
+        erased[i] = 0
+      }
+    }
+  }
+
+  emit() {
+    const f = this.emitted++
+    while (this.nextC1 <= f + 1) {
+      this.c1(this.nextC1++)
+    }
+    const i = (f - this.origin) % 98
+    const subChannel = this.subChannels[this.subChannels.length - 2]
+    if (Array.isArray(subChannel)) {
+      this.putSymbol(i === 0 ? S0 : (i === 1 ? S1 : subChannel[i - 2]))
+    }
+    const row = this.index(f)
+    const check = f < this.erasedUntil
+    for (let c = 0; c < 32; c++) {
+      if (check && this.erased[row + c]) {
+        this.putSymbol(ERASURE)
+      } else {
+        this.putSymbol(this.ring[row + c])
+      }
+    }
+    if (i === 97) {
+      this.counter++
+    }
+  }
+
+  // Writes a symbol, either as a byte of a raw frame, or through the EFM tables.
+  putSymbol(s) {
+    if (!this.efm) {
+      this.putByte(s === ERASURE ? 0 : s)
+      return
+    }
+    if (this.column++ === 0) {
+      this.putBits(syncBits, 24)
+    }
+    this.putBits(this.symbolTable[this.lastfew * 259 + s], 17)
+    if (this.column === 33) {
+      this.column = 0
+      this.putBits(endTable[this.lastfew], 3)
+    }
+  }
+
+  // Appends NRZ-I encoded bits, as they come out of the tables, to the output.
+  putBits(entry, count) {
+    const mask = (1 << count) - 1
+    let bits = entry & mask
+    if (this.level) bits ^= mask
+    this.level ^= (entry >> count) & 1
+    this.lastfew = (entry >> (count + 1)) & 3
+    this.bits |= bits << this.bitCount
+    this.bitCount += count
+    while (this.bitCount >= 8) {
+      this.putByte(this.bits & 0xff)
+      this.bits >>>= 8
+      this.bitCount -= 8
+    }
+  }
+
+  putByte(b) {
+    this.chunk[this.position++] = b
+    if (this.position === chunkSize) {
+      this.writeChunk()
+    }
+  }
+
+  writeChunk() {
+    if (this.position === 0) return
+    let chunk = this.chunk.subarray(0, this.position)
+    if (this.text) {
+      chunk = toText(chunk)
+    }
+    if (this.writer) {
+      this.writer.write(chunk)
+    }
+    this.chunk = Buffer.allocUnsafe(chunkSize)
+    this.position = 0
+  }
+
+  // Same as the classic encoder.
+  flush(pad) {
+    if (this.sectors === 0) {
+      return 0
+    }
+    for (let n = 0; n < encoder.Encoder.paddingSectors; n++) {
+      this.queue(...pad(n))
+    }
+    this.rebase(false)
+    return encoder.paddingFrames(this.leads)
+  }
+
+  // Same as the classic encoder.
+  restart(lba = 0) {
+    this.rebase(true)
+    this.counter = lba
+  }
+
+  // Writes out the last bits, the same way the efm.Encoder does when it ends, and resets
+  // the EFM state, which doesn't touch the CIRC state.
+  end() {
+    if (this.bitCount !== 0) {
+      this.putByte(this.bits & 0xff)
+    }
+    this.writeChunk()
+    this.bits = 0
+    this.bitCount = 0
+    this.level = 0
+    this.lastfew = 0
+    this.column = 0
+  }
+}
+
+/* Encodes the frames of the sectors a to b of a stream on their own, for the multithreaded
+   encoding of index.js, see there, where sectorAt gives the arguments of queue for each
+   sector of the stream. The encoder is primed with the 2 sectors before a, whose frames are
+   thrown away, and the chunk ends 2 sectors before the last one it pushes. The EFM output
+   starts from a low NRZ-I level, and the level at its end comes along with it. The output
+   is a fresh buffer, so it can be transferred to another thread without a copy. */
+function encodeChunk(sectorAt, a, b, profile, options) {
+  const chunks = []
+  let keep = false
+  const enc = new FastEncoder({ write: chunk => keep && chunks.push(chunk) }, profile, options)
+  for (let n = Math.max(0, a - 2); n < a + 2; n++) {
+    enc.queue(...sectorAt(n))
+  }
+  enc.end()
+  keep = true
+  for (let n = a + 2; n < b + 2; n++) {
+    enc.queue(...sectorAt(n))
+  }
+  const level = enc.level
+  enc.end()
+  const output = new Uint8Array(chunks.reduce((length, chunk) => length + chunk.length, 0))
+  let position = 0
+  for (const chunk of chunks) {
+    output.set(chunk, position)
+    position += chunk.length
+  }
+  return { output, level }
+}
+
+/* Puts the outputs of encodeChunk back together, in order. As each chunk starts from a low
+   level, the EFM output of a chunk is inverted when the ones before it end on a high level. */
+class ChunkStitcher {
+  constructor(efm) {
+    this.efm = efm
+    this.level = 0
+  }
+
+  stitch({ output, level }) {
+    const buffer = Buffer.from(output.buffer, output.byteOffset, output.length)
+    if (this.efm && this.level) {
+      for (let i = 0; i < buffer.length; i++) buffer[i] ^= 0xff
+    }
+    this.level ^= level
+    return buffer
+  }
+}
+
+exports.FastEncoder = FastEncoder
+exports.encodeChunk = encodeChunk
+exports.ChunkStitcher = ChunkStitcher
+exports.toText = toText
@@ -0,0 +1,65 @@
+'use strict'
+
+/* This is the Galois field GF(2^8) used by all of the Reed-Solomon codes of compact discs,
+   be it C1 and C2 in the CIRC, or the P and Q parity of data sectors. Its primitive polynomial
+   is x^8 + x^4 + x^3 + x^2 + 1, which is 0x11d in hex, and its generator is 2. Addition and
+   subtraction are both a simple xor, while multiplication and division are done using
+   logarithm and exponent tables, since log(a * b) = log(a) + log(b). See the wikiversity page
+   linked from the genMatrices.py script for more details about the math. */
+
+const PRIMITIVE = 0x11d
+
+// The exponent table is 512 entries long, so that adding two logarithms together never
+// needs a modulo when multiplying. The logarithm of 0 is undefined, and left as such.
+const exps = new Array(512)
+const logs = new Array(256)
+{
+  let x = 1
+  for (let i = 0; i < 255; i++) {
+    exps[i] = x
+    logs[x] = i
+    x <<= 1
+    if (x & 0x100) {
+      x ^= PRIMITIVE
+    }
+  }
+  for (let i = 255; i < 512; i++) {
+    exps[i] = exps[i - 255]
+  }
+}
+
+exports.add = (x, y) => x ^ y
+exports.sub = (x, y) => x ^ y
+
+// The exponent function accepts any integer, including negative ones, since the
+// multiplicative group of the field is cyclic with a period of 255.
+exports.exp = i => exps[((i % 255) + 255) % 255]
+
+exports.log = x => {
+  if (x === 0) {
+    throw Error('Logarithm of zero')
+  }
+  return logs[x]
+}
+
+exports.mul = (x, y) => {
+  if (x === 0 || y === 0) return 0
+  return exps[logs[x] + logs[y]]
+}
+
+exports.div = (x, y) => {
+  if (y === 0) {
+    throw Error('Division by zero')
+  }
+  if (x === 0) return 0
+  return exps[logs[x] + 255 - logs[y]]
+}
+
+exports.inv = x => exports.div(1, x)
+
+exports.pow = (x, power) => {
+  if (x === 0) return 0
+  return exports.exp(logs[x] * power)
+}
+
+exports.PRIMITIVE = PRIMITIVE
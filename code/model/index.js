@@ -1,20 +1,28 @@
 'use strict'
 
 // This is the encoder for the bitstream format used by compact discs.
-// It takes a raw, 2352-bytes per sector file as input, and outputs a
-// bitstream file. The output bitstream can be in several formats:
+// It takes a raw, 2352-bytes per sector file as input, or the user data
+// of data sectors, which it builds itself, see the --format option, or a
+// CUE sheet describing several tracks, see cue.js, and outputs a bitstream
+// file. The output bitstream can be in several formats:
 // - efm: straight up a bitstream representing the pits and grooves
 // - text: same as the above, but in a text format, with 1s and 0s
 // - raw: skips the EFM encoder, and outputs bytes. This can be useful
 //        for debugging, to see the 32 bytes per frame after all of the
 //        Reed Solomon and swizzling, but will lack subchannel data.
 //
-// Subchannels are generated on the fly, which may not be desirable.
-// A future version may allow to specify a subchannel file, which
-// would be used instead of generating subchannel data on the fly.
-// Also as a result, TOC data is not generated, and this only
-// creates a single track starting from 00:00:00 or 00:02:00,
-// depending on the pregap option.
+// Subchannels are generated on the fly, which may not be desirable,
+// so the subchannel option takes them from a file instead, for the
+// sectors it covers, in order to reproduce a dump exactly.
+// The subchannel Q follows the tracks and indexes of the disc, see
+// disc.js, which is a single track for a single file. The pregap option
+// adds the 2 seconds of the first track's pause, so the disc starts from
+// 00:00:00 instead of 00:02:00. For a complete disc, the leadIn option
+// adds a lead-in before it, which holds the TOC, and the leadOut option
+// a lead-out after it.
+//
+// The layout of the data within the frames is taken from an L1 profile, which
+// can be the one read-bits.js found on a disc, in order to reproduce it.
 //
 // Last but not least, the code is meant to be as readable as possible,
 // not fast. It is not optimized for speed, and should not be used in
@@ -22,32 +30,55 @@
 // production encoder. A production encoder should be written in C or
 // C++ or Rust or any other language designed for speed, and should
 // be using less readable but more performant tricks to access the
-// data and encode it.
+// data and encode it. That being said, the --encoder fast option selects
+// such a path, see fast.js, which produces the very same output, and the
+// benchmark.js script compares both. With it, --threads spreads the work
+// over several worker threads, and stitches their outputs back together.
 async function main() {
   const fs = require('fs')
-  const { promisify } = require('util')
-  const stat = promisify(fs.stat)
+  const path = require('path')
+  const { once } = require('events')
+  const { Worker, isMainThread, parentPort } = require('worker_threads')
 
   const { program } = require('commander')
   const cliProgress = require('cli-progress')
 
   const bcd = require('./bcd')
   const crc16 = require('./crc16')
+  const cue = require('./cue')
+  const discLayout = require('./disc')
   const efm = require('./efm')
   const encoder = require('./encoder')
+  const { FastEncoder, encodeChunk, ChunkStitcher, toText } = require('./fast')
   const msf = require('./msf')
+  const L1profile = require('./profile')
   const { scrambleLUT } = require('./scrambler')
+  const sectorBuilder = require('./sector')
+  const { SubchannelFile } = require('./subchannel')
 
   program.version('1.0.0')
 
   program
-    .option('-i, --input <file>', 'input raw file')
+    .option('-i, --input <file>', 'input raw file, or CUE sheet')
     .option('-d, --digital', 'input is digital data')
     .option('-e, --efm <file>', 'output EFM bitstream file')
     .option('-p, --pregap', 'emit pregap data')
     .option('-o, --output <file>', 'output raw file')
     .option('-v, --verbose', 'activate debug mode')
     .option('-t, --text', 'use text format instead of bitstream')
+    .option('--padding <kind>', 'padding at the end: silence, zero, or leadout')
+    .option('--leadIn <sectors>', 'emit a lead-in of that many sectors with the TOC, followed by the pregap')
+    .option('--leadOut <sectors>', 'emit a lead-out of that many sectors after the last track')
+    .option('--subchannel <file>', 'subchannel file, with 96 bytes per sector from the LBA 0, used instead of generated subchannels')
+    .option('--subLayout <layout>', 'layout of the subchannel file: interleaved, or deinterleaved', 'deinterleaved')
+    .option('--encoder <kind>', 'CIRC encoder: classic, ring, fast, or check to run classic and ring and compare', 'classic')
+    .option('--profile <profile>', 'L1 data layout profile: encoder, default, or a JSON file', 'encoder')
+    .option('--threads <count>', 'number of worker threads for the fast encoder', '1')
+    .option('--restart <lba>', 'restart the CIRC encoder right before the sector at that LBA, as after a seek, see encoder.js')
+    .option('--merge <strategy>', 'merge bits strategy: eager, or dsv to keep the digital sum value low', 'eager')
+    .option('--erasure <pattern>', 'erasure symbol, as a 14-bits pattern, see efm.js')
+    .option('--format <format>', 'input format: raw for 2352-bytes sectors, mode1 for an ISO of 2048-bytes sectors, mode2 for 2336-bytes XA sectors, or xa for user data with --subheaders', 'raw')
+    .option('--subheaders <file>', 'JSON file of the XA subheaders of each sector, for the xa format')
 
   program.parse(process.argv)
   const options = program.opts()
@@ -60,68 +91,129 @@ async function main() {
     throw Error('At least one input file is necessary')
   }
 
-  let input
-  let inputSize
-  if (options.input) {
-    input = fs.createReadStream(options.input, { encoding: null })
-    const istat = await stat(options.input)
-    inputSize = istat.size
+  // The track type of a single input file, for each format, see disc.js. All but raw are
+  // the user data of data sectors, which we build ourselves, and which means we're emitting
+  // digital data. The size of XA user data depends on the form of each sector, given by its
+  // subheader. A CUE sheet gives the type of each of its tracks instead.
+  const formatTypes = { raw: options.digital ? 'MODE1/2352' : 'AUDIO', mode1: 'MODE1/2048', mode2: 'MODE2/2336', xa: 'XA' }
+  const isCue = path.extname(options.input).toLowerCase() === '.cue'
+  if (!formatTypes[options.format]) {
+    throw Error('Unknown input format: ' + options.format)
   }
-  let outfile
-  if (options.output !== undefined) {
-    outfile = fs.createWriteStream(options.output, { encoding: null })
+  if (isCue && (options.digital || options.format !== 'raw' || options.subheaders)) {
+    throw Error('The tracks of a CUE sheet have their own format')
   }
-  if (options.efm !== undefined) {
-    const efmOut = fs.createWriteStream(options.efm)
-    outfile = new efm.Encoder()
-    outfile.on('data', b => {
-      if (options.text) {
-        for (let mask = 1; mask !== 0x100; mask <<= 1) {
-          efmOut.write((b & mask) !== 0 ? '1' : '0')
-        }
-      } else {
-        efmOut.write(Buffer.alloc(1, [b], null))
-      }
-    })
+  if ((options.format === 'xa') !== (options.subheaders !== undefined)) {
+    throw Error('The xa format needs the subheaders file, and only it does')
   }
+  const subheaders = options.subheaders && sectorBuilder.loadSubheaders(options.subheaders)
+  // The lead-in and lead-out make a complete disc with the program area in between. Since
+  // the first track always starts with its pause, the lead-in comes with the pregap.
+  const leadInSectors = parseInt(options.leadIn ?? '0')
+  const leadOutSectors = parseInt(options.leadOut ?? '0')
+  if (!(leadInSectors >= 0) || !(leadOutSectors >= 0)) {
+    throw Error('Invalid lead-in or lead-out length')
+  }
+  if (leadInSectors > 0) {
+    options.pregap = true
+  }
+  // The pregap is the 2 seconds pause before the first track, which is its index 0.
+  const pregapSectors = options.pregap ? 150 : 0
+  const disc = isCue
+    ? cue.load(options.input, pregapSectors)
+    : discLayout.single(options.input, formatTypes[options.format], pregapSectors, subheaders)
+  const lastTrack = disc.tracks[disc.tracks.length - 1]
 
-  if (!input) {
-    throw Error('Only raw input file supported at the moment')
+  // Digital data is padded with empty data sectors by default, and audio with silence,
+  // unless there's a lead-out, which the padding then carries on.
+  const padding = options.padding ?? (leadOutSectors > 0 ? 'leadout' : lastTrack.digital ? 'zero' : 'silence')
+  if (!['silence', 'zero', 'leadout'].includes(padding)) {
+    throw Error('Unknown padding kind: ' + padding)
+  }
+  if (leadOutSectors > 0 && padding !== 'leadout') {
+    throw Error('The padding after a lead-out is more lead-out')
   }
 
-  const bar = new cliProgress.SingleBar({}, cliProgress.Presets.shades_classic)
+  const encoders = { classic: encoder.Encoder, ring: encoder.RingEncoder, check: encoder.CrossCheckEncoder, fast: FastEncoder }
+  if (!encoders[options.encoder]) {
+    throw Error('Unknown encoder kind: ' + options.encoder)
+  }
+  // The fast encoder does the EFM encoding by itself, and writes straight to the file.
+  const fast = options.encoder === 'fast'
+  const threads = parseInt(options.threads)
+  if (!(threads >= 1)) {
+    throw Error('Invalid number of threads: ' + options.threads)
+  }
+  if (threads > 1 && !fast) {
+    throw Error('Parallel encoding needs the fast encoder')
+  }
+  // The restart emulates a seek, which the worker threads can't, as they rely on the stream
+  // being continuous in order to start anywhere.
+  const restartLba = options.restart === undefined ? undefined : parseInt(options.restart)
+  if (restartLba !== undefined && !Number.isInteger(restartLba)) {
+    throw Error('Invalid restart LBA: ' + options.restart)
+  }
+  if (restartLba !== undefined && threads > 1) {
+    throw Error('Parallel encoding can not restart the encoder')
+  }
+  // The profile is validated by the encoder too, as it can only handle so much delay.
+  const profile = L1profile.load(options.profile)
 
-  const enc = new encoder.Encoder(outfile)
-  if (options.verbose) {
-    enc.setDebug(true)
+  // The subchannel file, if any, replaces the generated subchannels of the sectors it covers.
+  if (options.subchannel && !options.efm) {
+    throw Error('A subchannel file needs the EFM output')
   }
+  const subchannels = options.subchannel && new SubchannelFile(options.subchannel, options.subLayout)
+  // It covers the disc from the LBA 0, up to the end of the lead-out, if any, or its own end.
+  const subchannelsEnd = subchannels ? Math.min(subchannels.count, disc.end + leadOutSectors) : 0
 
-  let remainder = Buffer.alloc(0, null, null)
-  let counter = options.pregap ? -153 : 0
-  bar.start(inputSize / 2352, 0)
-  // The generic pushSector function, used to push a sector to the encoder. There is
+  // The lead-in, before the disc, whose subchannel Q repeats the table of contents, see
+  // disc.js, and the lead-out, after it, which the padding is a part of, if there's any.
+  const toc = disc.toc()
+  const firstTrack = disc.tracks[0]
+  const leadOut = padding === 'leadout'
+
+  // The generic makeSector function, used to prepare a sector for the encoder. There is
   // a bit of an API abstraction issue, as the subchannel argument of the encoder is
   // highly tied to the kind of output stream. An EFM output stream _requires_ the
   // subchannel, while a raw output stream can _not_ have it. If this isn't respected,
   // each encoder will just be completely broken.
-  const pushSector = sector => {
+  // The lba is the address of the sector, which tells whether it's in the lead-in, the
+  // lead-out, or which track and index it's in otherwise, which changes the subchannel
+  // data accordingly. Sectors past the end of the disc which aren't in the lead-out
+  // carry on with the last track.
+  const makeSector = (sector, lba) => {
+    const leadInSector = lba < disc.start ? lba - disc.start + leadInSectors : undefined
+    const leadOutSector = lba >= disc.end && leadOut ? lba - disc.end : undefined
+    const { track, index, relative } = leadInSector !== undefined
+      ? { track: firstTrack, index: 0, relative: leadInSector }
+      : leadOutSector !== undefined
+        ? { track: lastTrack, index: 1, relative: leadOutSector }
+        : disc.locate(lba)
     // Scramble the data if we're emitting digital data.
-    if (options.digital) {
+    if (track.digital) {
       for (let i = 12; i < 2352; i++) {
         sector[i] ^= scrambleLUT[i - 12]
       }
     }
     // Raw files output don't have subchannels, so skip that.
     if (options.efm) {
-      // This is the subchannel Q, which is used to store the timecode
-      const subq = [0x01, 0x01, 0x01, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00]
+      if (lba >= 0 && lba < subchannelsEnd) {
+        return [sector, subchannels.sector(lba)]
+      }
+
+      // This is the subchannel Q, which is used to store the timecode. Its first byte is
+      // the control bits of the track, and the ADR, which is 1 for the current position.
+      const subq = [(track.control << 4) | 0x01, bcd.to(track.number), bcd.to(index), 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00]
 
-      if (options.digital) {
-        subq[0] |= 0x40
+      // In the lead-out, the track number is AA, and the relative time
+      // starts over from the beginning of the lead-out.
+      if (leadOutSector !== undefined) {
+        subq[1] = 0xaa
       }
 
-      const tc = msf.to(counter)
-      const tca = msf.to(counter + 150)
+      const tc = msf.to(relative)
+      const tca = msf.to(lba + 150)
       subq[3] = bcd.to(tc.m)
       subq[4] = bcd.to(tc.s)
       subq[5] = bcd.to(tc.f)
@@ -129,6 +221,28 @@ async function main() {
       subq[8] = bcd.to(tca.s)
       subq[9] = bcd.to(tca.f)
 
+      // In the lead-in, the track number is 00, the index is the POINT of the table of
+      // contents entry, and the absolute time is replaced with the one it points to. The
+      // relative time counts up from the beginning of the lead-in.
+      if (leadInSector !== undefined) {
+        const entry = discLayout.leadInEntry(toc, leadInSector)
+        subq[0] = (entry.control << 4) | 0x01
+        subq[1] = 0x00
+        subq[2] = entry.point
+        subq[7] = entry.pmin
+        subq[8] = entry.psec
+        subq[9] = entry.pframe
+      }
+
+      // The P channel is clear during the lead-in, flashes during the lead-out, and follows
+      // the pauses of the disc otherwise, see disc.js.
+      let p = false
+      if (leadOutSector !== undefined) {
+        p = discLayout.leadOutPause(leadOutSector)
+      } else if (leadInSector === undefined) {
+        p = disc.pause(lba)
+      }
+
       const crc = crc16.crc16(subq)
       subq.push(crc >> 8)
       subq.push(crc & 0xff)
@@ -138,47 +252,217 @@ async function main() {
         const bit = i % 8
         const mask = 0x80 >> bit
         sub[i] = (subq[index] & mask) === 0 ? 0 : 0x40
-        if (counter === 0) {
+        if (p) {
           sub[i] |= 0x80
         }
       }
-      enc.queue(sector, sub)
+      return [sector, sub]
     } else {
-      enc.queue(sector)
+      return [sector]
     }
   }
-  // Emit the pregap if requested. Yes, I know this looks weird, I just wasn't
-  // in the mood for an additional if statement.
-  for (let p = 0; p < (options.pregap ? 153 : 0); p++) {
-    const sector = Buffer.alloc(2352).fill(0)
-    sector[1] = sector[2] = sector[3] = sector[4] = sector[5] = 0xff
-    sector[6] = sector[7] = sector[8] = sector[9] = sector[10] = 0xff
-    const tc = msf.to(counter++ + 150)
-    sector[12] = bcd.to(tc.m)
-    sector[13] = bcd.to(tc.s)
-    sector[14] = bcd.to(tc.f)
-    pushSector(sector)
-  }
-  // This is the actual loop that reads the input file and pushes the sectors.
-  // We only push single, full sectors to the encoder, so we need to
-  // keep track of the remainder, which is the leftover data from the
-  // previous chunk.
-  for await (const chunk of input) {
-    let fullChunk = Buffer.concat([remainder, chunk])
-    while (fullChunk.length >= 2352) {
-      const sector = fullChunk.slice(0, 2352)
-      fullChunk = fullChunk.slice(2352)
-      pushSector(sector)
-      bar.update(++counter)
+  // The sectors after the last one of the disc, which are the lead-out, if any, and then
+  // the padding pushed out by the flush, see below. The lead-out is made of empty data
+  // sectors or silence, depending on the last track.
+  const padSector = n => {
+    const lba = disc.end + n
+    const digital = padding === 'zero' || (leadOut && lastTrack.digital)
+    const sector = digital ? sectorBuilder.mode0(lba) : Buffer.alloc(2352)
+    return makeSector(sector, lba)
+  }
+
+  // The sector n of the whole stream, which is the lead-in, if any, and the disc, from its
+  // first sector, which is in the pregap, if any, and then the lead-out and the padding.
+  // Both the loop below and the worker threads go through it. The lead-in is zero-filled,
+  // as empty data sectors or silence, depending on the first track.
+  const totalSectors = leadInSectors + disc.end - disc.start + leadOutSectors
+  const sectorAt = n => {
+    const lba = disc.start - leadInSectors + n
+    if (lba < disc.start) {
+      return makeSector(firstTrack.digital ? sectorBuilder.mode0(lba) : Buffer.alloc(2352), lba)
     }
-    remainder = fullChunk
+    if (lba < disc.end) {
+      return makeSector(disc.sector(lba), lba)
+    }
+    return padSector(lba - disc.end)
   }
 
-  if (outfile) {
+  /* Multithreaded encoding, where each worker thread runs this same script, up to this
+     point, and then encodes the chunks of sectors the main thread gives it.
+     The CIRC encoder only looks at a few sectors around the one it's emitting, and its
+     output doesn't depend on anything older than that once primed, as it's "extremely
+     systematic for a given 588 bits output frame". So a worker can start encoding from
+     any sector, provided it first pushes the 2 sectors before it, and throws away their
+     frames. The rows which would have been different, due to the silence the encoder is
+     primed with, are over by then. A chunk always ends two sectors before the last one it
+     pushes, since the encoder needs to see them first. As for the EFM encoding, a sector
+     is 98 * 588 bits, which is exactly 7203 bytes, so chunks are byte aligned, and always
+     start with a sync pattern, whose merge bits don't depend on anything before it. The
+     only thing carried over from one chunk to the next is the NRZ-I level, so a worker
+     encodes its chunk starting from a low level, and reports the level at the end of it,
+     and the main thread inverts the chunks which need to be. See encodeChunk and
+     ChunkStitcher in fast.js. */
+  if (!isMainThread) {
+    // A null chunk tells the worker that there are no more, so it closes its subchannel
+    // file, and its end of the port, which lets it exit.
+    parentPort.on('message', chunk => {
+      if (chunk === null) {
+        if (subchannels) {
+          subchannels.close()
+        }
+        parentPort.close()
+        return
+      }
+      const { output, level } = encodeChunk(sectorAt, chunk.a, chunk.b, profile, { efm: options.efm !== undefined, merge: options.merge, erasure: options.erasure })
+      parentPort.postMessage({ output, level }, [output.buffer])
+    })
+    return
+  }
+
+  // Reports how the subchannel file fits the disc, and the sectors whose subchannel Q it has
+  // wrong, which are still encoded as is, since they may well be on the original disc too.
+  if (subchannels) {
+    const sectors = disc.end - disc.start + leadOutSectors
+    console.log('Subchannel file has ' + subchannels.count + ' sectors, covering ' + subchannelsEnd + ' of the ' + sectors + ' sectors of the disc, the others get generated subchannels')
+    if (subchannels.remainder !== 0) {
+      console.log('Subchannel file ends with a partial sector of ' + subchannels.remainder + ' bytes, which is ignored')
+    }
+    if (subchannels.count > subchannelsEnd) {
+      console.log('Subchannel file has ' + (subchannels.count - subchannelsEnd) + ' sectors past the end of the disc, which are ignored')
+    }
+    const invalid = subchannels.invalidQ()
+    if (invalid.length > 0) {
+      console.log('Subchannel file has ' + invalid.length + ' sectors with an invalid Q CRC, at LBA ' + invalid.slice(0, 10).join(', ') + (invalid.length > 10 ? ', ...' : ''))
+    }
+  }
+
+  // The output file stream, which the encoders write to, directly or through the EFM encoder.
+  let fileOut
+  let outfile
+  if (options.output !== undefined) {
+    outfile = fileOut = fs.createWriteStream(options.output, { encoding: null })
+  }
+  if (options.efm !== undefined && fast) {
+    outfile = fileOut = fs.createWriteStream(options.efm)
+  } else if (options.efm !== undefined) {
+    const efmOut = fileOut = fs.createWriteStream(options.efm)
+    outfile = new efm.Encoder({ merge: options.merge, erasure: options.erasure })
+    outfile.on('data', b => {
+      if (options.text) {
+        for (let mask = 1; mask !== 0x100; mask <<= 1) {
+          efmOut.write((b & mask) !== 0 ? '1' : '0')
+        }
+      } else {
+        efmOut.write(Buffer.alloc(1, [b], null))
+      }
+    })
+  }
+
+  const bar = new cliProgress.SingleBar({}, cliProgress.Presets.shades_classic)
+
+  const enc = new encoders[options.encoder](outfile, profile, { efm: options.efm !== undefined, text: options.text, merge: options.merge, erasure: options.erasure })
+  if (options.verbose) {
+    enc.setDebug(true)
+  }
+
+  if (threads > 1) {
+    await encodeParallel()
+    if (subchannels) {
+      subchannels.close()
+    }
     outfile.end()
+    console.log('Done')
+    return
+  }
+
+  // This is the actual loop that reads the input files and pushes the sectors, one at a
+  // time. Every so often, it lets the output streams catch up, as the encoders are fast
+  // enough to outrun the disk.
+  bar.start(totalSectors, 0)
+  for (let n = 0; n < totalSectors; n++) {
+    if (disc.start - leadInSectors + n === restartLba) {
+      enc.restart(restartLba)
+    }
+    enc.queue(...sectorAt(n))
+    bar.update(n + 1)
+    if (n % 16 === 15) {
+      if (fileOut && fileOut.writableNeedDrain) {
+        await once(fileOut, 'drain')
+      } else {
+        await new Promise(resolve => setImmediate(resolve))
+      }
+    }
   }
   bar.stop()
+
+  // The last sectors are still in the encoder, so push them out with some padding.
+  // Digital zero sectors are empty data sectors, while the lead-out is silence or
+  // empty data sectors depending on the input, but flagged as such in the subchannels.
+  const paddingFrames = enc.flush(n => padSector(leadOutSectors + n))
+  console.log('Padded with ' + encoder.Encoder.paddingSectors + ' ' + padding + ' sectors, the last ' + paddingFrames + ' frames only hold padding')
+  // The padding was the last to read from the subchannel file.
+  if (subchannels) {
+    subchannels.close()
+  }
+
+  if (fast) {
+    enc.end()
+  }
+  if (outfile) {
+    outfile.end()
+  }
+  // The EFM encoder keeps track of the DSV, which tells how well the merge bits did.
+  if (outfile instanceof efm.Encoder) {
+    await once(outfile, 'finish')
+    const dsv = outfile.dsvStats()
+    console.log('DSV ranged from ' + dsv.min + ' to ' + dsv.max + ', ending at ' + dsv.dsv + ', RMS ' + dsv.rms.toFixed(1))
+  }
   console.log('Done')
+
+  // The main thread side of the multithreaded encoding. Each worker has one chunk to work
+  // on at a time, and the chunks are written out in order as they come back.
+  async function encodeParallel() {
+    const frameSectors = totalSectors === 0 ? 0 : totalSectors + encoder.Encoder.paddingSectors - 2
+    const chunkSectors = Math.max(1, Math.min(1024, Math.ceil(frameSectors / threads)))
+    const chunks = []
+    for (let a = 0; a < frameSectors; a += chunkSectors) {
+      chunks.push({ a, b: Math.min(frameSectors, a + chunkSectors) })
+    }
+    const workers = []
+    for (let t = 0; t < Math.min(threads, chunks.length); t++) {
+      workers.push(new Worker(__filename, { argv: process.argv.slice(2) }))
+    }
+    const run = async (worker, chunk) => {
+      worker.postMessage(chunk)
+      const [result] = await once(worker, 'message')
+      return result
+    }
+    const results = chunks.map((chunk, k) => (k < workers.length ? run(workers[k], chunk) : null))
+    bar.start(frameSectors, 0)
+    const stitcher = new ChunkStitcher(options.efm !== undefined)
+    for (let k = 0; k < chunks.length; k++) {
+      const result = await results[k]
+      results[k] = null
+      if (k + workers.length < chunks.length) {
+        results[k + workers.length] = run(workers[k % workers.length], chunks[k + workers.length])
+      }
+      let output = stitcher.stitch(result)
+      if (options.text) {
+        output = toText(output)
+      }
+      if (!outfile.write(output)) {
+        await once(outfile, 'drain')
+      }
+      bar.update(chunks[k].b)
+    }
+    bar.stop()
+    for (const worker of workers) {
+      worker.postMessage(null)
+      await once(worker, 'exit')
+    }
+    const paddingFrames = totalSectors === 0 ? 0 : encoder.paddingFrames(encoder.dataLeads(profile))
+    console.log('Padded with ' + encoder.Encoder.paddingSectors + ' ' + padding + ' sectors, the last ' + paddingFrames + ' frames only hold padding')
+  }
 }
 
 main()
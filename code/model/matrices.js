@@ -0,0 +1,92 @@
+'use strict'
+
+/* This is the JavaScript port of the genMatrices.py script, which generates the systematic
+   encoding matrices used by the C1 and C2 encoders in rs.js. Unlike the script, it can do so
+   at runtime, for any (n, k) code, and for any set of parity positions, which is what makes
+   it possible to experiment with other CIRC layouts.
+
+   The trick is the same as in the script: a systematic encoder is linear, so the parity bytes
+   of any message are the sum of the parity bytes of each of its data bytes taken individually.
+   For each data position, we craft a message with a single 1 at that position, zeroes
+   everywhere else, and mark the parity positions as erasures. Asking the decoder to repair
+   this message gives us the parity bytes for this data position, which is one row of the
+   matrix. When the parity bytes are at the end of the message, this is equivalent to the
+   division-based encoder, but this also works when they are in the middle, like for C2.
+
+   The matrices.test.js unit test checks that the C1 and C2 matrices generated here are
+   identical to the hardcoded ones from rs.js. */
+
+const gf = require('./gf')
+const rs = require('./rs')
+
+/* Generates the systematic encoding matrix for a code of length n, with the parity bytes
+   located at the given positions. The returned matrix has one row per data byte, in the
+   order in which they appear in the message, and each row has one coefficient per parity
+   byte, in the order given by parityPositions. */
+function generate(n, parityPositions) {
+  const nsyms = parityPositions.length
+  if (n > 255) {
+    throw Error('Message is too long (' + n + ' when max is 255)')
+  }
+  if (nsyms === 0 || nsyms >= n) {
+    throw Error('Invalid number of parity bytes')
+  }
+  if (new Set(parityPositions).size !== nsyms || parityPositions.some(p => !Number.isInteger(p) || p < 0 || p >= n)) {
+    throw Error('Invalid parity positions')
+  }
+
+  const matrix = []
+  for (let d = 0; d < n; d++) {
+    if (parityPositions.includes(d)) continue
+    const msg = new Array(n).fill(0)
+    msg[d] = 1
+    const result = rs.decode(msg, nsyms, parityPositions)
+    if (!result.ok) {
+      throw Error('Unable to compute the matrix row for position ' + d)
+    }
+    matrix.push(parityPositions.map(p => result.corrected[p]))
+  }
+  return matrix
+}
+
+/* The encoders in rs.js are using the logarithms of the matrix coefficients, flattened,
+   in order to save a lookup for each multiplication. A coefficient of 0 can't have a
+   logarithm, but this never happens with a proper Reed-Solomon code. */
+function toLogs(matrix) {
+  return [].concat(...matrix).map(c => gf.log(c))
+}
+
+/* Creates an encoder function for the given code, which takes the k data bytes as input,
+   and returns the parity bytes, in the order given by parityPositions. This is the same
+   algorithm as rs.encodeC1 and rs.encodeC2, only with a matrix computed on the fly. */
+function createEncoder(n, parityPositions) {
+  const nsyms = parityPositions.length
+  const k = n - nsyms
+  const logs = toLogs(generate(n, parityPositions))
+  return msg => {
+    if (msg.length !== k) {
+      throw Error('Invalid message length, expected ' + k + ' bytes')
+    }
+    const ret = new Array(nsyms).fill(0)
+    for (let i = 0; i < k; i++) {
+      const c = msg[i]
+      if (c === 0) continue
+      const lc = gf.log(c)
+      for (let j = 0; j < nsyms; j++) {
+        ret[j] = gf.add(ret[j], gf.exp(lc + logs[i * nsyms + j]))
+      }
+    }
+    return ret
+  }
+}
+
+// The CIRC layouts: C1 is a (32,28) code with its parity at the end, and C2 is
+// a (28,24) code with its parity in the middle.
+const c1Parity = [28, 29, 30, 31]
+const c2Parity = [12, 13, 14, 15]
+
+exports.generate = generate
+exports.toLogs = toLogs
+exports.createEncoder = createEncoder
+exports.c1Parity = c1Parity
+exports.c2Parity = c2Parity
@@ -0,0 +1,87 @@
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+// For the C2 delays, which are fixed. This is a circular dependency, which is fine as long as
+// they're only looked at when loading a profile.
+const encoder = require('./encoder')
+
+/* The L1 profiles describe how the L2 data is laid out within the L1 frames, which isn't
+   standardized. The C1 and C2 interleaving is fixed, as the DSP has no other way to find
+   the codewords, but the way the bytes of the input stream are spread into the data
+   columns of the frames, and where the sectors start within that, varies from one burner
+   to another.
+
+   The table is a row-column swizzling pattern, giving for each of the 24 bytes of a line
+   of the input stream the delay and the frame column where it is stored, and the offset is
+   the amount of rows all of the data is delayed by. The frame columns are numbered the
+   same way as the 32 bytes of a frame, so 12 to 15 are C2 and can't be used. A byte with
+   a table delay of `delay` shows up `offset - delay` rows after its line. Shifting the
+   offset by one row shifts the whole stream by 24 bytes, so the alignment of the sectors
+   within the stream is really a byte shift, which is the profile's shift: each sector
+   starts that many bytes before the un-swizzled data of its subchannel sector.
+
+   The same profiles are used by the decoder to un-swizzle a bitstream, and by the encoder
+   to produce one, so a profile pinned while decoding a disc can be given back to the
+   encoder in order to reproduce the same L1 layout. A profile can be a name from the list
+   below, or a JSON file containing any of the three fields, the other ones being taken
+   from the default profile. */
+const defaultTable = [
+  [3, 1], [0, 0], [27, 7], [24, 6], [65, 17], [62, 16], [89, 23], [86, 22],
+  [11, 3], [8, 2], [35, 9], [32, 8], [73, 19], [70, 18], [97, 25], [94, 24],
+  [19, 5], [16, 4], [43, 11], [40, 10], [81, 21], [78, 20], [105, 27], [102, 26]
+]
+
+const profiles = {
+  // The table below is not the only valid one. It was chosen because it is straddling
+  // the buffer the least. The offset is just max row-delay + 1.
+  default: { table: defaultTable, offset: 106, shift: 0 },
+  // This is what index.js has always produced: the same table, but the sectors are 44
+  // bytes into the stream. We need to delay data a tiny bit for the digital data sync
+  // pattern. This ensures the DSP doesn't miss the sync pattern, and that the data is
+  // properly aligned. Otherwise, data sectors will be delayed much further. This is the
+  // smallest delay that works.
+  encoder: { table: defaultTable, offset: 106, shift: 2308 }
+}
+
+exports.names = Object.keys(profiles)
+
+/* Loads a profile by name or from a JSON file, and checks that it makes sense. The result
+   is always a fresh object, so it can be altered by its user. */
+exports.load = name => {
+  let profile
+  if (profiles[name]) {
+    profile = { name, ...profiles[name] }
+  } else {
+    profile = { ...profiles.default, name: path.basename(name), ...JSON.parse(fs.readFileSync(name, 'utf8')) }
+  }
+  const { table, offset, shift } = profile
+  const columns = new Set()
+  if (!Array.isArray(table) || table.length !== 24) {
+    throw Error('Invalid profile ' + name + ': the table needs 24 entries')
+  }
+  for (const entry of table) {
+    const [delay, column] = Array.isArray(entry) ? entry : []
+    if (!Number.isInteger(delay) || delay < 0 || !Number.isInteger(column) || column < 0 || column >= 28 || (column >= 12 && column < 16) || columns.has(column)) {
+      throw Error('Invalid profile ' + name + ': bad table entry ' + JSON.stringify(entry))
+    }
+    columns.add(column)
+    // The DSP finds the C2 codewords with fixed delays, and then delays the bytes after C2
+    // 2 frames less than the ones before it. So a line of the stream only comes back out of
+    // a single C2 codeword if the delay of each of its bytes makes up for the C2 delay of
+    // its column: only the order of the columns is really up to the burner.
+    const c = column < 12 ? column : column - 4
+    if (delay + encoder.delayedC2Data[c] !== (column < 12 ? 107 : 105)) {
+      throw Error('Invalid profile ' + name + ': table entry ' + JSON.stringify(entry) + ' does not line up with the C2 codewords')
+    }
+  }
+  // The data may only come from the sectors kept in memory, which means up to 196 rows
+  // in the past, and not from the future at all.
+  if (!Number.isInteger(offset) || offset <= Math.max(...table.map(e => e[0])) || offset > 196) {
+    throw Error('Invalid profile ' + name + ': bad offset ' + offset)
+  }
+  if (!Number.isInteger(shift) || shift < 0 || shift >= 2352) {
+    throw Error('Invalid profile ' + name + ': bad shift ' + shift)
+  }
+  return profile
+}
@@ -8,17 +8,35 @@
 // could be generated from another tool. The tool also provides a conversion function from a CSV
 // file from a logic analyzer, and to the expected text file format.
 
+// Alternatively, the input can be a packed binary bitstream, with 8 pits and grooves per byte,
+// such as the default output of the index.js encoder. The encoder writes the bits in Little
+// Endian order, meaning the first bit of the stream is the least significant bit of the first
+// byte, but other tools may write them the other way around. By default, the tool will figure
+// out whether the file is text or binary, as well as the bit order, by looking for frame sync
+// patterns. The polarity of the pits and grooves doesn't really matter for the NRZ-I decoding,
+// but it can be inverted so that the text representation always shows the sync patterns the
+// same way.
+
 // By default, the tool will output a PNG file with the bitstream, aligning the frames in rows, and
 // coloring the bits according to their type. The tool can also output various levels of logging
 // information, and the decoded sectors in a 2448-byte format, with subchannel information, or a
 // 2352-byte format, without the subchannels. If the sectors are detected to be data, the tool
-// will also descramble it.
+// will also descramble it. The whole process is streamed, only keeping a few sectors in memory,
+// so captures of a full disc can be decoded. For the same reason, the PNG file is split into
+// tiles of a few thousand frames each, and can be disabled altogether.
 
 // When used to convert a CSV file from a logic analyzer, it is expected to have the following format:
 // - Column 1: Time in seconds
 // - Column 2: Clock signal from the XPCLK pin of the DSP
 // - Column 3: Data signal from the ASYO pin of the DSP
 
+// Without the recovered clock from the DSP, the tool can also recover the clock by itself, from a
+// single-channel capture of the bitstream, sampled at any rate comfortably above the bit rate. The
+// capture can be a raw file with one byte per sample, either analog values from an oscilloscope or
+// an ADC, or the channels of a logic analyzer as bits, or a CSV file with the time in seconds in the
+// first column and the signal in the second one. The output is the same text file as the CSV
+// conversion, or a packed binary bitstream, which can then be analyzed.
+
 async function main() {
   const { program } = require('commander')
 
@@ -31,6 +49,21 @@ async function main() {
     .option('-d, --dumpSectorData', 'dump sector data')
     .option('-o, --output <file>', 'output sectors in 2448-bytes format')
     .option('-c, --cooked <file>', 'output sectors in 2352-bytes format')
+    .option('--format <format>', 'input format for analyze: text, binary, or auto', 'auto')
+    .option('--bitOrder <order>', 'bit order of binary input: lsb, msb, or auto', 'auto')
+    .option('--polarity <polarity>', 'polarity of binary input: normal, inverted, or auto', 'auto')
+    .option('-p, --png <file>', 'output PNG file of the aligned bitstream', 'out.png')
+    .option('--pngTile <frames>', 'maximum number of frames per PNG file', '4096')
+    .option('--noPng', 'do not output the PNG file')
+    .option('--syncWindow <bits>', 'sync protection window, in bits around the expected position', '12')
+    .option('--syncMiss <frames>', 'missing sync patterns in a row before losing the lock', '3')
+    .option('--sampleFormat <format>', 'capture format for recoverClock: u8, logic, or csv', 'u8')
+    .option('--sampleRate <hz>', 'sample rate of a u8 or logic capture, in samples per second')
+    .option('--channel <bit>', 'channel of a logic capture, as a bit number within each sample', '0')
+    .option('--threshold <level>', 'signal threshold for recoverClock, or auto', 'auto')
+    .option('--speed <speed>', 'reading speed of the capture for recoverClock, or auto', 'auto')
+    .option('--outputFormat <format>', 'output format for recoverClock: text or binary', 'text')
+    .option('--profile <profile>', 'L1 data layout profile: default, encoder, a JSON file, or auto, which only detects the shift of data discs, with the default table and offset', 'auto')
 
   let inputFile
   let outputFile
@@ -45,9 +78,18 @@ async function main() {
       cmd = 'parseCSV'
     })
 
+  program
+    .command('recoverClock <input> <output>')
+    .description('input file is a single-channel capture, dump recovered bitstream to output')
+    .action((input, output) => {
+      inputFile = input
+      outputFile = output
+      cmd = 'recoverClock'
+    })
+
   program
     .command('analyze <input>')
-    .description('input file is a text bitstream')
+    .description('input file is a text or binary bitstream')
     .action(input => {
       inputFile = input
       cmd = 'analyze'
@@ -65,33 +107,15 @@ async function main() {
 
   const EFMlib = require('./efm')
   const { scrambleLUT } = require('./scrambler')
-
-  // The EFM symbols from the EFM library are tuned to be used in an encoder, and are not
-  // suitable for decoding. The following code will create a reverse lookup table for the
-  // EFM symbols, so they can be used to decode the bitstream.
-  const EFM = {}
-  for (const [k, v] of Object.entries(EFMlib.symbols)) {
-    let s = ''
-    let m = 1
-    for (let i = 0; i < 14; i++) {
-      if ((v & m) === 0) {
-        s += '0'
-      } else {
-        s += '1'
-      }
-      m <<= 1
-    }
-    if (k === 'S0') {
-      EFM[s] = 'S0'
-    } else if (k === 'S1') {
-      EFM[s] = 'S1'
-    } else {
-      EFM[s] = parseInt(k)
-    }
-  }
+  const msf = require('./msf')
+  const L1profile = require('./profile')
+  const dataSectors = require('./sector')
+  const { leadOutPause } = require('./disc')
 
   const fs = require('fs')
-  const parse = require('csv-parse')
+  const path = require('path')
+  const { once } = require('events')
+  const { parse } = require('csv-parse')
   const png = require('pngjs').PNG
   const hexer = require('hexer')
 
@@ -140,12 +164,242 @@ async function main() {
       })
   }
 
+  /* The clock recovery works on the times of the transitions of the signal, which are read
+     from the capture chunk by chunk, and returned as arrays of times in seconds, along with
+     the level of the signal before the first transition of the chunk.
+
+     A logic analyzer capture is already made of clean levels, but an analog one needs to be
+     sliced. Since EFM is DC-free, the average of the signal is right in the middle of its two
+     levels, which is why the automatic threshold is a running average over a few hundred bits.
+     This also follows the slow wander of an AC-coupled signal. The transitions of an analog
+     capture are then interpolated between samples, which gives a precision well below a
+     sample, and lets the capture be sampled at only a few times the bit rate. */
+  async function * readEdges(filename) {
+    const format = options.sampleFormat
+    const fixedThreshold = options.threshold === 'auto' ? undefined : parseFloat(options.threshold)
+    let level
+    let initialLevel
+
+    if (format === 'csv') {
+      const threshold = fixedThreshold ?? 0.5
+      for await (const rows of chunkRows(fs.createReadStream(filename).pipe(parse()))) {
+        const times = []
+        const chunkLevel = level
+        for (const row of rows) {
+          const time = parseFloat(row[0])
+          const value = parseFloat(row[1])
+          // Skip the headers, if any.
+          if (isNaN(time) || isNaN(value)) continue
+          const l = value > threshold ? 1 : 0
+          if (level === undefined) {
+            level = initialLevel = l
+          } else if (l !== level) {
+            level = l
+            times.push(time)
+          }
+        }
+        yield { level: chunkLevel ?? initialLevel, times }
+      }
+      return
+    }
+
+    if (format !== 'u8' && format !== 'logic') {
+      throw Error('Unknown sample format: ' + format)
+    }
+    const sampleRate = parseFloat(options.sampleRate)
+    if (!(sampleRate > 0)) {
+      throw Error('The sample rate is required for ' + format + ' captures')
+    }
+    const mask = 1 << parseInt(options.channel)
+    // About 500 bits at 1x speed.
+    const averaging = Math.min(1, 4321800 / 500 / sampleRate)
+    let threshold = fixedThreshold
+    let previous
+    let index = 0
+    for await (const chunk of fs.createReadStream(filename, { highWaterMark: 1 << 20 })) {
+      if (threshold === undefined) {
+        threshold = (chunk.reduce((a, b) => Math.min(a, b)) + chunk.reduce((a, b) => Math.max(a, b))) / 2
+      }
+      const times = []
+      const chunkLevel = level
+      for (const sample of chunk) {
+        let l
+        if (format === 'logic') {
+          l = (sample & mask) === 0 ? 0 : 1
+        } else {
+          l = sample > threshold ? 1 : 0
+        }
+        if (level === undefined) {
+          level = initialLevel = l
+        } else if (l !== level) {
+          level = l
+          let time = index
+          if (format === 'u8') {
+            time = index - 1 + clamp((threshold - previous) / (sample - previous))
+          }
+          times.push(time / sampleRate)
+        }
+        if (format === 'u8' && fixedThreshold === undefined) {
+          threshold += (sample - threshold) * averaging
+        }
+        previous = sample
+        index++
+      }
+      yield { level: chunkLevel ?? initialLevel, times }
+    }
+  }
+
+  // Groups the rows of the CSV parser, so the clock recovery doesn't get them one by one.
+  async function * chunkRows(rows) {
+    let chunk = []
+    for await (const row of rows) {
+      chunk.push(row)
+      if (chunk.length === 65536) {
+        yield chunk
+        chunk = []
+      }
+    }
+    yield chunk
+  }
+
+  /* The clock recovery itself is a digital PLL, driven by the transitions of the signal. For
+     each transition, we look at the time elapsed since the previous one, as predicted by our
+     own clock, and round it to a number of bits, which should be between 3 and 11 in a proper
+     EFM bitstream. The difference between the actual time and the predicted one is the phase
+     error. A fraction of it is used to move our clock towards the transition, and a smaller
+     fraction to adjust its period, which lets the PLL follow the speed of the spindle as it
+     drifts around. Since the period can only move a little at each transition, it has to start
+     close to the actual one. The longest runs of the bitstream are the 11 bits ones of the frame
+     sync patterns, two in every frame of roughly 125 runs, so the top half percent of the run
+     lengths at the start of the capture is a good estimate of 11 bits, even with a few defects.
+
+     The output is one character or one bit per recovered clock, holding the level of the
+     signal at that time, just like the CSV conversion does with the clock from the DSP. */
+  async function recoverClock(filename, output) {
+    const binary = options.outputFormat === 'binary'
+    if (!binary && options.outputFormat !== 'text') {
+      throw Error('Unknown output format: ' + options.outputFormat)
+    }
+    const phaseGain = 0.5
+    const frequencyGain = 0.05
+    const estimationEdges = 20000
+    const bitRate = 4321800
+
+    console.log('Recovering clock from ' + filename)
+    const file = fs.createWriteStream(output, { encoding: null })
+
+    let period
+    let minPeriod
+    let maxPeriod
+    let slowest
+    let fastest
+    let clock
+    let level
+    let edges = 0
+    let badRuns = 0
+    let totalBits = 0
+    let bits = []
+    const head = []
+
+    function start(times) {
+      if (options.speed === 'auto') {
+        const runs = []
+        for (let i = 1; i < times.length; i++) runs.push(times[i] - times[i - 1])
+        runs.sort((a, b) => a - b)
+        period = runs[Math.floor(runs.length * 0.995)] / 11
+      } else {
+        period = 1 / (bitRate * parseFloat(options.speed))
+      }
+      if (!(period > 0)) {
+        throw Error('Not enough transitions to recover the clock')
+      }
+      console.log('Estimated speed: ' + (1 / period / bitRate).toFixed(3) + 'x')
+      // The PLL isn't allowed to wander more than 10% away from its starting point.
+      minPeriod = period * 0.9
+      maxPeriod = period * 1.1
+      slowest = fastest = period
+      clock = times[0]
+      level ^= 1
+      for (let i = 1; i < times.length; i++) step(times[i])
+    }
+
+    function step(time) {
+      const elapsed = time - clock
+      const n = Math.round(elapsed / period)
+      edges++
+      if (n < 3 || n > 11) badRuns++
+      // A glitch shorter than half a bit is simply skipped, and since the signal goes back
+      // to its previous level right after it, the next run will include it.
+      if (n < 1) {
+        level ^= 1
+        return
+      }
+      const error = elapsed - n * period
+      clock += n * period + phaseGain * error
+      period = clamp(period + frequencyGain * error / n, minPeriod, maxPeriod)
+      slowest = Math.max(slowest, period)
+      fastest = Math.min(fastest, period)
+      for (let i = 0; i < n; i++) bits.push(level)
+      level ^= 1
+    }
+
+    async function flush(final) {
+      let buffer
+      if (binary) {
+        // Same as the encoder's output, the first bit is the least significant one.
+        const count = final ? Math.ceil(bits.length / 8) : Math.floor(bits.length / 8)
+        buffer = Buffer.alloc(count)
+        const used = Math.min(bits.length, count * 8)
+        for (let i = 0; i < used; i++) {
+          if (bits[i]) buffer[i >> 3] |= 1 << (i & 7)
+        }
+        totalBits += used
+        bits = bits.slice(used)
+      } else {
+        buffer = Buffer.from(bits.map(b => 0x30 + b))
+        totalBits += bits.length
+        bits = []
+      }
+      if (!file.write(buffer)) {
+        await once(file, 'drain')
+      }
+    }
+
+    for await (const chunk of readEdges(filename)) {
+      if (clock === undefined) {
+        if (head.length === 0) level = chunk.level
+        // Not with a spread, as chunks can have more edges than a call has room for arguments.
+        for (const time of chunk.times) head.push(time)
+        if (head.length < estimationEdges) continue
+        start(head)
+      } else {
+        for (const time of chunk.times) step(time)
+      }
+      await flush(false)
+    }
+    if (clock === undefined) {
+      start(head)
+    }
+    await flush(true)
+    file.end()
+    await once(file, 'finish')
+
+    console.log('Got ' + edges + ' transitions, ' + totalBits + ' bits')
+    console.log('Speed drifted between ' + (1 / slowest / bitRate).toFixed(3) + 'x and ' + (1 / fastest / bitRate).toFixed(3) + 'x')
+    console.log('Runs outside of 3 to 11 bits: ' + badRuns)
+  }
+
   if (cmd === 'parseCSV') {
     readSampleFile(inputFile, outputFile)
     // If we just converted the file, don't do anything further.
     return 0
   }
 
+  if (cmd === 'recoverClock') {
+    await recoverClock(inputFile, outputFile)
+    return 0
+  }
+
   if (options.output) {
     outputFile = fs.createWriteStream(options.output, { encoding: null })
   }
@@ -154,25 +408,97 @@ async function main() {
     cookedFile = fs.createWriteStream(options.cooked, { encoding: null })
   }
 
-  // The code to read the bitstream from a file will try to locate the first frame
-  // sync pattern, and will discard the bits before it. This will make the rest of
-  // the code more simple.
-  function readBitsFile(filename) {
-    const bitstream = fs.readFileSync(filename)
-    let p1 = bitstream.indexOf('1111111111100000000000111')
-    let p2 = bitstream.indexOf('0000000000011111111111000')
-    if (p1 === -1) {
-      p1 = bitstream.length
+  const textSync = ['1111111111100000000000111', '0000000000011111111111000']
+
+  // A text bitstream only contains the characters '0' and '1', possibly with some trailing
+  // whitespace. Anything else means we're looking at a binary file.
+  function detectFormat(bitstream) {
+    const sample = bitstream.subarray(0, 65536)
+    for (const c of sample) {
+      if (c !== 0x30 && c !== 0x31 && c !== 0x0a && c !== 0x0d && c !== 0x20) return 'binary'
     }
-    if (p2 === -1) {
-      p2 = bitstream.length
+    return 'text'
+  }
+
+  // Unpacks a binary bitstream into the text format, with the requested bit order.
+  function unpackBits(bitstream, bitOrder, invert) {
+    const text = Buffer.alloc(bitstream.length * 8)
+    const zero = invert ? 0x31 : 0x30
+    for (let i = 0; i < bitstream.length; i++) {
+      const b = bitstream[i]
+      for (let j = 0; j < 8; j++) {
+        const mask = bitOrder === 'lsb' ? 1 << j : 0x80 >> j
+        text[i * 8 + j] = (b & mask) === 0 ? zero : zero ^ 1
+      }
     }
-    const p = Math.min(p1, p2)
-    return bitstream.slice(p)
+    return text
   }
 
-  const bits = readBitsFile(inputFile)
-  const frameCount = Math.floor(bits.length / 588)
+  // Counts how many sync patterns can be found in a text bitstream, in either polarity.
+  function countSyncs(text) {
+    let count = 0
+    for (const pattern of textSync) {
+      for (let p = text.indexOf(pattern); p !== -1; p = text.indexOf(pattern, p + 1)) count++
+    }
+    return count
+  }
+
+  // Only the bit order which lets us find sync patterns can be the correct one. We only
+  // need a few frames' worth of data to figure this out.
+  function detectBitOrder(bitstream) {
+    const sample = bitstream.subarray(0, 16384)
+    const lsb = countSyncs(unpackBits(sample, 'lsb', false))
+    const msb = countSyncs(unpackBits(sample, 'msb', false))
+    return msb > lsb ? 'msb' : 'lsb'
+  }
+
+  // Since the NRZ-I encoding only looks at transitions, the polarity is a matter of taste.
+  // We pick the one which makes the first sync pattern look like 1111111111100000000000111.
+  function detectPolarity(text) {
+    const p1 = text.indexOf(textSync[0])
+    const p2 = text.indexOf(textSync[1])
+    return p2 !== -1 && (p1 === -1 || p2 < p1) ? 'inverted' : 'normal'
+  }
+
+  // The code to read the bitstream from a file is streamed, so that captures of any size can be
+  // processed without loading them fully in memory. It yields chunks of the bitstream in the text
+  // format, regardless of the input format. The format, bit order, and polarity are detected from
+  // the first few kilobytes of the file.
+  async function * readBitsFile(filename) {
+    const fd = fs.openSync(filename, 'r')
+    const sample = Buffer.alloc(65536)
+    const sampleSize = fs.readSync(fd, sample, 0, sample.length, 0)
+    fs.closeSync(fd)
+    const head = sample.subarray(0, sampleSize)
+
+    const format = options.format === 'auto' ? detectFormat(head) : options.format
+    let bitOrder
+    let polarity
+    if (format === 'binary') {
+      bitOrder = options.bitOrder === 'auto' ? detectBitOrder(head) : options.bitOrder
+      if (bitOrder !== 'lsb' && bitOrder !== 'msb') {
+        throw Error('Unknown bit order: ' + bitOrder)
+      }
+      polarity = options.polarity
+      if (polarity === 'auto') {
+        polarity = detectPolarity(unpackBits(head.subarray(0, 16384), bitOrder, false))
+      } else if (polarity !== 'normal' && polarity !== 'inverted') {
+        throw Error('Unknown polarity: ' + polarity)
+      }
+      console.log('Binary input, bit order: ' + bitOrder + ', polarity: ' + polarity)
+    } else if (format !== 'text') {
+      throw Error('Unknown input format: ' + format)
+    }
+
+    for await (const chunk of fs.createReadStream(filename, { highWaterMark: 65536 })) {
+      if (format === 'binary') {
+        yield unpackBits(chunk, bitOrder, polarity === 'inverted')
+      } else {
+        // Skip any whitespace, such as a trailing newline.
+        yield Buffer.from(chunk.filter(c => c === 0x30 || c === 0x31))
+      }
+    }
+  }
 
   // Each frame has 33 symbols, and this is how they're laid out in the frame.
   // This gives an idea of the general swizzling of the bytes at a line level.
@@ -212,55 +538,228 @@ async function main() {
     32: [255, 255, 204] // error correction (C1 a.k.a. P)
   }
 
-  const outPNG = new png({
-    width: 588,
-    height: frameCount
-  })
+  const normalFrameSync = '100000000001000000000010'
 
-  let previous = -1
-  const frames = []
-
-  // We're going to organize the input bitstream into frames, and color the bits
-  // according to their type. Since the EFM encoding ensures a lot of 0s, we're
-  // going to color the 0s as the color of the channel, and the 1s as black.
-  // From this point forward, we assume that the bitstream is correctly aligned
-  // to the frame sync pattern, and that we have exactly 588 bits per frame. If
-  // the DSP did its job properly, the recovered clock signal should be quite
-  // perfect, and the bitstream should be correctly aligned.
-  for (let y = 0; y < frameCount; y++) {
-    let frame = ''
-    for (let x = 0; x < 588; x++) {
-      const b = bits[x + y * 588]
-      const v = b === '0'.charCodeAt(0) ? 0 : 1
+  /* The PNG output aligns the frames in rows, and colors the bits according to their type.
+     Since the EFM encoding ensures a lot of 0s, we're going to color the 0s as the color of
+     the channel, and the 1s as black. In order to keep the memory usage bounded, the picture
+     is split into tiles of a given number of frames, which are written as soon as they're
+     full. The first tile is named after the requested file, and the next ones get a numbered
+     suffix, such as out-1.png, out-2.png, and so on. */
+  const pngTileFrames = parseInt(options.pngTile)
+  if (!(pngTileFrames > 0)) {
+    throw Error('Invalid PNG tile size: ' + options.pngTile)
+  }
+  const pngRowSize = 588 * 4
+  let pngData = null
+  let pngRows = 0
+  let pngTiles = 0
+
+  function pngFileName(tile) {
+    if (tile === 0) return options.png
+    const ext = path.extname(options.png)
+    return options.png.slice(0, options.png.length - ext.length) + '-' + tile + ext
+  }
 
-      // This essentially decodes the NRZ-I encoding. If the bit is the same as the
-      // previous bit, we output a 0, otherwise we output a 1, as the NRZ-I encoding
-      // only looks at the transitions between the pits and grooves.
-      const o = v === previous ? 0 : 1
-      previous = v
-      frame += o.toString()
+  function flushPNG() {
+    if (pngRows === 0) return
+    const outPNG = new png({
+      width: 588,
+      height: pngRows
+    })
+    pngData.copy(outPNG.data, 0, 0, pngRows * pngRowSize)
+    fs.writeFileSync(pngFileName(pngTiles++), png.sync.write(outPNG))
+    pngRows = 0
+  }
 
+  // Frames which didn't start with a sync pattern get a bright red sync area, so that
+  // problems with the capture stand out in the picture.
+  function drawPNGRow(frame) {
+    if (options.noPng) return
+    if (pngData === null) {
+      pngData = Buffer.alloc(pngTileFrames * pngRowSize)
+    }
+    const base = pngRows * pngRowSize
+    for (let x = 0; x < 588; x++) {
+      const o = frame.bits[x] === '1' ? 1 : 0
       let c = [255, 255, 255]
 
       if (x < 24) {
-        c = [255, 204, 204]
+        c = frame.sync ? [255, 204, 204] : [255, 0, 0]
       } else if ((x - 24) % 17 < 3) {
         c = [204, 204, 204]
       } else {
         c = colormap[Math.floor((x - 24) / 17)]
       }
 
-      outPNG.data[4 * (x + y * 588) + 0] = o === 0 ? c[0] : 0
-      outPNG.data[4 * (x + y * 588) + 1] = o === 0 ? c[1] : 0
-      outPNG.data[4 * (x + y * 588) + 2] = o === 0 ? c[2] : 0
-      outPNG.data[4 * (x + y * 588) + 3] = 255
+      pngData[base + 4 * x + 0] = o === 0 ? c[0] : 0
+      pngData[base + 4 * x + 1] = o === 0 ? c[1] : 0
+      pngData[base + 4 * x + 2] = o === 0 ? c[2] : 0
+      pngData[base + 4 * x + 3] = 255
+    }
+    if (++pngRows === pngTileFrames) {
+      flushPNG()
     }
-    frames.push(frame)
   }
 
-  fs.writeFileSync('out.png', png.sync.write(outPNG))
+  /* We're going to organize the input bitstream into frames. A capture from a dirty disc, or
+     from a less than perfect clock recovery, will occasionally lose or insert a bit, so we
+     can't simply assume that each frame is exactly 588 bits. Instead, we do what a DSP does
+     with its sync protection window: once locked onto a sync pattern, we look for the next
+     one within a small window around the expected position, 588 bits later. If it's found
+     a bit early or a bit late, we re-lock onto it, and report the slip. If it's not found
+     at all, we assume it's exactly where it's supposed to be, and carry on. After too many
+     missed sync patterns in a row, we consider the lock lost, and hunt for the next sync
+     pattern anywhere in the bitstream, inserting blank frames for the ones we skipped over
+     while hunting. All the searches are done on the bits after the
+     NRZ-I decoding, since the sync pattern has a fixed representation there.
+
+     Frames are always normalized to 588 bits for the rest of the tool: when bits were lost,
+     the frame is padded with zeroes at the end, and when bits were inserted, the extra bits
+     at the end are discarded. We can't know where in the frame the slip happened, so the
+     symbols after it will likely be invalid, and left for the C1 decoder to deal with. Each
+     frame is yielded as an object with the following fields:
+       - bits: the 588 bits of the frame, as a string of '0' and '1'
+       - position: the position of the frame in the NRZ-I decoded bitstream
+       - slip: the amount of bits inserted (positive) or lost (negative) in this frame
+       - sync: false if no sync pattern was found where this frame starts */
+  const syncWindow = parseInt(options.syncWindow)
+  const syncMissLimit = parseInt(options.syncMiss)
+  if (!(syncWindow >= 0) || !(syncMissLimit > 0)) {
+    throw Error('Invalid sync protection settings')
+  }
+  const syncStats = { slips: 0, lostBits: 0, insertedBits: 0, missed: 0, relocks: 0, blankFrames: 0 }
+
+  async function * readFrames(bitstream) {
+    const sync = normalFrameSync
+    // The NRZ-I decoded bits which haven't been consumed yet, and the position of the first one.
+    let pending = Buffer.alloc(0)
+    let pendingPosition = 0
+    let previous = -1
+    let locked = false
+    let everLocked = false
+    let syncFound = true
+    let missed = 0
+    let slip = 0
+    // Where the last sync pattern was found, and how many frames were yielded since.
+    let lastSyncPosition = 0
+    let framesSinceSync = 0
+
+    const consume = amount => {
+      pending = pending.subarray(amount)
+      pendingPosition += amount
+    }
+
+    // Finds the sync pattern closest to the expected position, within the window.
+    const searchSync = (expected, available) => {
+      let best = -1
+      const from = Math.max(0, expected - syncWindow)
+      for (let p = pending.indexOf(sync, from); p !== -1 && p <= expected + syncWindow; p = pending.indexOf(sync, p + 1)) {
+        if (p + sync.length > available) break
+        if (best === -1 || Math.abs(p - expected) < Math.abs(best - expected)) best = p
+      }
+      return best
+    }
+
+    const makeFrame = length => {
+      if (syncFound) {
+        lastSyncPosition = pendingPosition
+        framesSinceSync = 0
+      }
+      framesSinceSync++
+      let bits = pending.toString('latin1', 0, Math.min(length, 588))
+      if (bits.length < 588) bits = bits.padEnd(588, '0')
+      const frame = { bits, position: pendingPosition, slip, sync: syncFound }
+      consume(length)
+      drawPNGRow(frame)
+      return frame
+    }
+
+    // Process as many frames as possible from the pending bits. At the end of the stream, we
+    // don't wait for the whole window to be available before deciding.
+    const frames = function * (ending) {
+      for (;;) {
+        if (!locked) {
+          const p = pending.indexOf(sync)
+          if (p === -1) {
+            // Keep just enough bits to find a sync pattern straddling two chunks.
+            consume(Math.max(0, pending.length - sync.length + 1))
+            return
+          }
+          consume(p)
+          if (everLocked) {
+            // Figure out how many frames went by since the last sync pattern we saw, and
+            // insert blank frames for the ones we didn't yield, so that the following ones
+            // stay at the right place in the delay lines. Their invalid symbols will be
+            // handled as erasures by the CIRC decoders.
+            const elapsed = Math.round((pendingPosition - lastSyncPosition) / 588)
+            const blanks = Math.max(0, elapsed - framesSinceSync)
+            syncStats.relocks++
+            syncStats.blankFrames += blanks
+            console.log('Sync re-locked at bit ' + pendingPosition + ', after skipping ' + p + ' bits, inserting ' + blanks + ' blank frames')
+            for (let b = 0; b < blanks; b++) {
+              const frame = { bits: '0'.repeat(588), position: pendingPosition, slip: 0, sync: false }
+              drawPNGRow(frame)
+              yield frame
+            }
+          }
+          locked = true
+          everLocked = true
+          syncFound = true
+          slip = 0
+          missed = 0
+        }
+        const needed = 588 + syncWindow + sync.length
+        if (pending.length < (ending ? 588 : needed)) return
+        const next = searchSync(588, pending.length)
+        if (next === -1 && pending.length < needed) {
+          // The stream ends before the next sync pattern, which isn't missing per se.
+          slip = 0
+          yield makeFrame(588)
+        } else if (next === -1) {
+          // No sync where we expected it: flywheel over it, or give up the lock.
+          slip = 0
+          yield makeFrame(588)
+          syncStats.missed++
+          syncFound = false
+          if (++missed >= syncMissLimit) {
+            console.log('Sync lost at bit ' + pendingPosition + ', after ' + missed + ' missing sync patterns')
+            locked = false
+          }
+        } else {
+          slip = next - 588
+          if (slip !== 0) {
+            syncStats.slips++
+            if (slip < 0) {
+              syncStats.lostBits -= slip
+            } else {
+              syncStats.insertedBits += slip
+            }
+            console.log('Sync slip at bit ' + pendingPosition + ': ' + Math.abs(slip) + ' bits ' + (slip < 0 ? 'lost' : 'inserted'))
+          }
+          yield makeFrame(next)
+          syncFound = true
+          missed = 0
+        }
+      }
+    }
+
+    for await (const chunk of bitstream) {
+      // This essentially decodes the NRZ-I encoding. If the bit is the same as the
+      // previous bit, we output a 0, otherwise we output a 1, as the NRZ-I encoding
+      // only looks at the transitions between the pits and grooves.
+      const decoded = Buffer.alloc(chunk.length)
+      for (let x = 0; x < chunk.length; x++) {
+        const v = chunk[x] === 0x30 ? 0 : 1
+        decoded[x] = v === previous ? 0x30 : 0x31
+        previous = v
+      }
+      pending = Buffer.concat([pending, decoded])
+      yield * frames(false)
+    }
+    yield * frames(true)
+  }
 
-  const normalFrameSync = '100000000001000000000010'
 
   // The "frameCutter" function will mangle the input frame data, and will return
   // the requested amount of bits. We use this to chop the frame into pieces.
@@ -271,10 +770,28 @@ async function main() {
     return result
   }
 
+  // The invalid symbols we got, by erasure candidate.
+  const invalidSymbols = {}
+
+  // The EFM library has the reverse lookup table for the symbols, which works on the
+  // 14-bits patterns, with the first bit of the bitstream as the least significant bit.
+  // We convert its special values to the ones used throughout this tool.
   function getEFM(frame) {
     const slice = frameCutter(frame, 14)
-    const byte = EFM[slice]
-    if (byte === undefined) return -1
+    let symbol = 0
+    for (let i = 0; i < 14; i++) {
+      if (slice[i] === '1') symbol |= 1 << i
+    }
+    const byte = EFMlib.decodeSymbol(symbol)
+    if (byte === EFMlib.S0) return 'S0'
+    if (byte === EFMlib.S1) return 'S1'
+    if (byte < 0 || slice.length !== 14) {
+      // Tell which erasure candidate this is, as different encoders may use different ones.
+      const candidate = slice.length === 14 ? EFMlib.classifyErasure(symbol) : -1
+      const kind = candidate < 0 ? 'other' : EFMlib.erasureCandidates[candidate]
+      invalidSymbols[kind] = (invalidSymbols[kind] ?? 0) + 1
+      return -1
+    }
     return byte
   }
 
@@ -302,34 +819,22 @@ async function main() {
     }
   }
 
-  const sectors = []
-
-  function createSector() {
-    return {
-      frameCount: 0,
-      gotS0: false,
-      gotS1: false,
-      subchannel: [],
-      data: [],
-      c1: [],
-      c2: []
-    }
-  }
-
-  console.log('Parsing frames')
-
-  let currentSector = createSector()
-
   const frameLog = verboseFrameLog ? console.log : x => x
 
   // First, we process every 588-bits frame, and extract the subchannel, the data, and the error correction bytes.
   // We will also do some basic checks to see if the frame sync is correct, and if the merge bits are correct.
-  for (let frameCounter = 0; frameCounter < frames.length; frameCounter++) {
-    const frame = { data: frames[frameCounter] }
+  // The frame's symbols are returned, and it's up to the sector framing below to decide
+  // which sector they belong to.
+  function parseFrame(frameInfo, frameCounter) {
+    const frame = { data: frameInfo.bits }
     const merges = []
 
     frameLog()
     frameLog('******** Analyzing frame ' + frameCounter + ' ********')
+    frameLog('Position: bit ' + frameInfo.position)
+    if (frameInfo.slip !== 0) {
+      frameLog('Frame length: ' + (588 + frameInfo.slip) + ' bits, ' + Math.abs(frameInfo.slip) + ' bits ' + (frameInfo.slip < 0 ? 'lost' : 'inserted'))
+    }
     // First, we chop off the first 24 bits, hoping they are the frame sync.
     const frameSync = frameCutter(frame, normalFrameSync)
     if (frameSync === normalFrameSync) {
@@ -346,20 +851,6 @@ async function main() {
     // And the merge bits after the subchannel.
     merges.push(frameCutter(frame, 3))
 
-    // We create a new sector when we find the S0 sync byte in the subchannel.
-    if (subchannel === 'S0') {
-      sectors.push(currentSector)
-      currentSector = createSector()
-      currentSector.gotS0 = true
-      currentSector.frameCount = 1
-    } else if (++currentSector.frameCount === 2 && subchannel === 'S1') {
-      currentSector.gotS1 = true
-    } else {
-      // We have 12 subchannel bytes per sector. There's no need to store
-      // S0 and S1, we only flag them.
-      currentSector.subchannel.push(subchannel)
-    }
-
     const data = []
     const c1 = []
     const c2 = []
@@ -393,58 +884,459 @@ async function main() {
       merges.push(frameCutter(frame, 3))
     }
 
-    data.forEach(v => currentSector.data.push(v))
-    c1.forEach(v => currentSector.c1.push(v))
-    c2.forEach(v => currentSector.c2.push(v))
-
     frameLog('Data : ' + data.map(EFMToString).join(''))
     frameLog('C1   : ' + c1.map(EFMToString).join(''))
     frameLog('C2   : ' + c2.map(EFMToString).join(''))
     frameLog('Merge bits : ' + merges.join(' ') + ' ' + mergeBitStatus(merges))
+    return { subchannel, data, c1, c2 }
   }
 
-  frames.length = 0
+  /* Sectors are always 98 frames long, and the S0 and S1 subcode syncs are simply there to
+     tell us where they start. But these are single symbols, and a scratch can easily damage
+     one of them. Trusting them blindly means a sector gets merged with the next one into a
+     196 frames blob, and everything after it is misaligned. So instead, once we found a
+     first S0 followed by S1, we run a flywheel: a new sector starts every 98 frames, no
+     matter what, and a missing S0 or S1 is inferred from the frame count.
+
+     A S0 showing up where it's not expected is only trusted if it is immediately followed
+     by a S1, which is very unlikely to happen by accident. When it does, frames have been
+     lost or inserted somewhere in the current sector. If the new sector starts past the
+     middle of the current one, we assume frames were lost, and pad the current sector with
+     blank frames, whose symbols will be erasures for the CIRC decoders. Otherwise, we assume
+     the frames since the expected start of the sector are spurious, and drop them.
+
+     Every frame which doesn't look the way it should, or which has been made up, is listed
+     in the suspectFrames array of its sector, so that the log can point it out. */
+  function createSector() {
+    return {
+      frameCount: 0,
+      gotS0: false,
+      gotS1: false,
+      inferredS0: false,
+      inferredS1: false,
+      suspectFrames: [],
+      frames: [],
+      subchannel: [],
+      data: [],
+      c1: [],
+      c2: [],
+      flags: []
+    }
+  }
 
-  // It's highly unlikely the first sector is valid, because the capture probably started in the middle of it.
-  // So just discard it unconditionally.
-  sectors.shift()
+  const framingStats = { inferredS0: 0, inferredS1: 0, resyncs: 0, paddedFrames: 0, droppedFrames: 0 }
 
-  console.log()
-  console.log('================================')
+  const blankFrame = () => ({
+    subchannel: -1,
+    data: new Array(24).fill(-1),
+    c1: new Array(4).fill(-1),
+    c2: new Array(4).fill(-1)
+  })
+
+  // Flattens the frames of a complete sector into the arrays used by the decoders.
+  function completeSector(sector) {
+    sector.frames.forEach((frame, f) => {
+      // We have 12 subchannel bytes per sector. There's no need to store
+      // S0 and S1, we only flag them. A sync symbol anywhere else is garbage.
+      if (f >= 2) {
+        sector.subchannel.push(typeof frame.subchannel === 'string' ? -1 : frame.subchannel)
+      }
+      frame.data.forEach(v => sector.data.push(v))
+      frame.c1.forEach(v => sector.c1.push(v))
+      frame.c2.forEach(v => sector.c2.push(v))
+    })
+    sector.frameCount = sector.frames.length
+    delete sector.frames
+    return sector
+  }
+
+  let currentSector = null
+  // Before the first sector, this is a S0 frame waiting for its S1. Afterwards, this is
+  // the index of an unexpected S0 frame within the current sector, waiting for its S1.
+  let candidate = null
+
+  // Adds a frame to the sectors being built, and returns the list of sectors it completed.
+  function pushFrame(frame, frameCounter) {
+    const completed = []
+
+    if (currentSector === null) {
+      if (candidate !== null && frame.subchannel === 'S1') {
+        currentSector = createSector()
+        currentSector.gotS0 = true
+        currentSector.gotS1 = true
+        currentSector.frames.push(candidate, frame)
+        candidate = null
+      } else {
+        candidate = frame.subchannel === 'S0' ? frame : null
+      }
+      return completed
+    }
 
-  console.log('Got ' + sectors.length + ' sectors')
-  console.log(
-    'Got ' +
-    sectors.reduce((c, s) => {
-      if (s.gotS0 && s.gotS1 && s.frameCount === 98) c++
-      return c
-    }, 0) +
-    ' valid sectors'
-  )
+    if (candidate !== null) {
+      const k = candidate
+      candidate = null
+      if (frame.subchannel === 'S1') {
+        const s0Frame = currentSector.frames[k]
+        const previous = currentSector
+        previous.frames.length = k
+        previous.suspectFrames = previous.suspectFrames.filter(f => f < k)
+        framingStats.resyncs++
+        if (k >= 49) {
+          const padding = 98 - k
+          console.log('Sector resync at frame ' + (frameCounter - 1) + ': ' + padding + ' frames lost, padding the sector with blank frames')
+          for (let f = k; f < 98; f++) {
+            previous.frames.push(blankFrame())
+            previous.suspectFrames.push(f)
+          }
+          framingStats.paddedFrames += padding
+          completed.push(completeSector(previous))
+        } else {
+          console.log('Sector resync at frame ' + (frameCounter - 1) + ': dropping ' + k + ' spurious frames')
+          framingStats.droppedFrames += k
+        }
+        currentSector = createSector()
+        currentSector.gotS0 = true
+        currentSector.gotS1 = true
+        currentSector.frames.push(s0Frame, frame)
+        return completed
+      }
+      // Otherwise, it was just a damaged subchannel symbol, which has already been
+      // flagged as suspect.
+    }
 
-  // Due to the delayed lines, we need at least 2 sectors worth of data to be able to
-  // decode it properly. If we don't have that, we can't do anything.
-  if (sectors.length >= 2) {
-    console.log('Parsing ' + (sectors.length - 2) + ' sectors')
+    if (currentSector.frames.length === 98) {
+      completed.push(completeSector(currentSector))
+      currentSector = createSector()
+    }
+
+    const f = currentSector.frames.length
+    if (f === 0) {
+      if (frame.subchannel === 'S0') {
+        currentSector.gotS0 = true
+      } else {
+        currentSector.inferredS0 = true
+        currentSector.suspectFrames.push(f)
+        framingStats.inferredS0++
+      }
+    } else if (f === 1) {
+      if (frame.subchannel === 'S1') {
+        currentSector.gotS1 = true
+      } else {
+        currentSector.inferredS1 = true
+        currentSector.suspectFrames.push(f)
+        framingStats.inferredS1++
+      }
+    } else if (frame.subchannel === 'S0') {
+      candidate = f
+      currentSector.suspectFrames.push(f)
+    } else if (frame.subchannel === 'S1') {
+      currentSector.suspectFrames.push(f)
+    }
+    currentSector.frames.push(frame)
+    return completed
   }
 
   const sectorLog = verboseSectorLog ? console.log : x => x
   const sectorLogError = verboseSectorLogError ? console.log : x => x
 
-  const poly = require('jqr-poly')
-  const gf = require('jqr-gf')
+  const rs = require('./rs')
+
+  /* Sectors are decoded as soon as possible, and only a small window of them is kept in
+     memory. The delayed lines need up to 107 rows of past data, which means the two previous
+     sectors, and the C1 decoder looks two rows into the future, which means the next sector.
+     The subchannel of a sector is also taken from the previous one. So decoding sector i
+     needs sectors i - 2 to i + 1, and sectorWindow[0] is the sector number firstSector. */
+  const sectorWindow = []
+  let firstSector = 0
+  let sectorCount = 0
+  let validSectors = 0
+  let decodedSectors = 0
+  const getSector = n => sectorWindow[n - firstSector]
+  // Whether the track is a data track, from the control bits of the last valid Q. A sector
+  // whose own Q is damaged is still part of the same track, most likely.
+  let dataTrack = false
+
+  /* The C1 and C2 decoders, and the data gathering, all see the frames as a single infinite
+     stream of rows of 32 columns, where each row is a frame, hopping around the data, c1,
+     and c2 fields of our sectors. This helper function is a read-write accessor for this
+     virtual array. Given a row within the whole stream, and a column, it will return the
+     value of the byte at that position, or set it if a value is provided. */
+  const streamByte = (row, column, value) => {
+    const sector = getSector(Math.floor(row / 98))
+    if (row < 0 || sector === undefined) return undefined
+    row %= 98
+
+    if (column < 12) {
+      const idx = 24 * row + column
+      if (value !== undefined) sector.data[idx] = value
+      return sector.data[idx]
+    } else if (column < 16) {
+      const idx = 4 * row + column - 12
+      if (value !== undefined) sector.c2[idx] = value
+      return sector.c2[idx]
+    } else if (column < 28) {
+      const idx = 24 * row + column - 4
+      if (value !== undefined) sector.data[idx] = value
+      return sector.data[idx]
+    } else {
+      const idx = 4 * row + column - 28
+      if (value !== undefined) sector.c1[idx] = value
+      return sector.c1[idx]
+    }
+  }
+
+  // Same as above, for the erasure flags that C1 passes on to C2.
+  const streamFlag = (row, column, value) => {
+    const sector = getSector(Math.floor(row / 98))
+    if (row < 0 || sector === undefined) return false
+    const idx = 32 * (row % 98) + column
+    if (value !== undefined) sector.flags[idx] = value
+    return sector.flags[idx] === true
+  }
+
+  // A byte is unusable if the EFM decoder didn't find a valid symbol for it, or if it's
+  // simply missing from the capture.
+  const isErased = v => typeof v !== 'number' || v < 0
+
+  const correctionStats = { c1Corrected: 0, c1Failed: 0, c2Corrected: 0, c2Failed: 0 }
+
+  /* The C1 decoder. Its delay is luckily simple: it's either 0 or 1, depending on the
+     column's parity. Invalid EFM symbols are given to the Reed-Solomon decoder as erasures,
+     and if the decoder can't make sense of the codeword, all of its bytes are flagged, so
+     that C2 can use them as erasures. This is what a real DSP does, since a C1 codeword
+     which can't be corrected usually means a burst of errors, and C2 is much better at
+     correcting erasures than errors. */
+  function correctC1(row) {
+    const coeffs = []
+    const erasures = []
+    for (let b = 0; b < 32; b++) {
+      const v = streamByte(row - (b % 2), b)
+      if (isErased(v)) {
+        coeffs[b] = 0
+        erasures.push(b)
+      } else {
+        coeffs[b] = v
+      }
+    }
+    const result = rs.decode(coeffs, 4, erasures)
+    if (result.syndromes.every(s => s === 0) && erasures.length === 0) return
+
+    const sector = Math.floor(row / 98)
+    sectorLogError('C1 sector: ' + sector + ', row: ' + (row % 98) + ', syndromes: ' + result.syndromes)
+    sectorLogError('C1 corrupted data: ' + coeffs.map(tohex))
+    if (result.ok) {
+      sectorLogError('C1 Erratas: ' + result.positions)
+      for (const p of result.positions) {
+        streamByte(row - (p % 2), p, result.corrected[p])
+      }
+      correctionStats.c1Corrected++
+    } else {
+      sectorLogError('C1 uncorrectable, flagging erasures for C2')
+      for (let b = 0; b < 28; b++) {
+        streamFlag(row - (b % 2), b, true)
+      }
+      correctionStats.c1Failed++
+    }
+  }
+
+  /* The C2 decoder, which is more complex, as its delayed lines are not so simple. The
+     `c2Delays` array below hardcodes the pattern of the delayed lines. Otherwise, this is
+     the same sort of processing as C1, except that the bytes flagged by C1 are used as
+     erasures. If there are too many of them to be used as erasures, we try again with
+     only the invalid EFM symbols, as C1 flags are merely a hint that something's wrong.
+     When C2 fails, the flags are left in place, so the bytes can be reported as bad. */
+  const c2Delays = [
+    107, 104, 99, 96, 91, 88, 83, 80, 75, 72, 67, 64, 59, 56, 51, 48, 43,
+    40, 35, 32, 27, 24, 19, 16, 11, 8, 3, 0
+  ]
+  function correctC2(row) {
+    const coeffs = []
+    const invalid = []
+    const flagged = []
+    for (let b = 0; b < 28; b++) {
+      const v = streamByte(row - c2Delays[b], b)
+      if (isErased(v)) {
+        coeffs[b] = 0
+        invalid.push(b)
+      } else {
+        coeffs[b] = v
+        if (streamFlag(row - c2Delays[b], b)) flagged.push(b)
+      }
+    }
+    let result = rs.decode(coeffs, 4, [...invalid, ...flagged])
+    if (!result.ok && flagged.length !== 0) {
+      result = rs.decode(coeffs, 4, invalid)
+    }
+    if (result.syndromes.every(s => s === 0) && invalid.length === 0) {
+      for (const b of flagged) streamFlag(row - c2Delays[b], b, false)
+      return
+    }
+
+    const sector = Math.floor(row / 98)
+    sectorLogError('C2 sector: ' + sector + ', row: ' + (row % 98) + ', syndromes: ' + result.syndromes)
+    sectorLogError('C2 corrupted data: ' + coeffs.map(tohex))
+    if (flagged.length !== 0) sectorLogError('C2 erasures flagged by C1: ' + flagged)
+    if (result.ok) {
+      sectorLogError('C2 Erratas: ' + result.positions)
+      for (let b = 0; b < 28; b++) {
+        streamByte(row - c2Delays[b], b, result.corrected[b])
+        streamFlag(row - c2Delays[b], b, false)
+      }
+      correctionStats.c2Corrected++
+    } else {
+      sectorLogError('C2 uncorrectable')
+      correctionStats.c2Failed++
+    }
+  }
+
+  /* The coverage of a data row by the ECCs may happen in the future or in the past for a
+     given ECC row, which means that when correcting errors, the order of operations is
+     extremely important. C2 covers bytes that are 0 to 107 rows in the past, and for the
+     odd columns, these bytes are only corrected by C1 one row later. Likewise, gathering
+     the data for a row looks at bytes which are only covered by C2 one row later. So the
+     C1 decoder runs two rows ahead of the data gathering, and the C2 decoder one row ahead,
+     which is the time travel needed to make corrections visible to the rows depending on
+     them. These are the next rows each decoder is going to process. They can't start
+     before they have their full amount of past data. */
+  let nextC1Row = 1
+  let nextC2Row = c2Delays[0]
+
+  /* Once C1 and C2 are done, the data still needs to be un-swizzled, which is the job of
+     the L1 profile, see profile.js. I've seen some wildly different offsets from one disc
+     to another, since there's no fixed alignment between the subchannel and the data.
+
+     A profile can be pinned by name or with a JSON file. Otherwise, the decoder looks for
+     its shift, using the default table: the first sectors are held back, and the position
+     of the digital data sync pattern in each of them votes for the shift which would bring
+     it to the beginning of the sector. Only sectors for which C2 didn't fail are trusted
+     to vote, since a corrupted sync pattern may be found at the wrong place. Audio discs
+     have no sync pattern at all, and silently get the default profile.
+
+     This does not look for other tables or offsets: an offset is only a shift by 24 bytes
+     per row, and C1 and C2 run before the un-swizzling, so their syndromes are the same
+     whatever the profile is, and can't tell the candidates apart. A disc with another
+     table needs it pinned from a JSON file. */
+  const profile = L1profile.load(options.profile === 'auto' ? 'default' : options.profile)
+  const detectProfile = options.profile === 'auto'
+  // The sectors held back while looking for the profile, and the votes for each shift.
+  const heldSectors = []
+  const shiftVotes = new Map()
+  let votingSectors = 0
+  let profileReady = !detectProfile
+  if (profileReady) {
+    console.log('L1 profile: ' + profile.name + ', offset ' + profile.offset + ', shift ' + profile.shift)
+  }
+
+  // Writes to an output file, waiting for it to drain if need be, so that we don't
+  // accumulate the whole output in memory when the disk is slower than the decoder.
+  async function write(file, buffer) {
+    if (!file.write(buffer)) {
+      await once(file, 'drain')
+    }
+  }
+
+  /* The P channel follows the structure of the disc: it's set during the pauses, which are
+     the index 0 of the tracks, and for 2 to 3 seconds before the start of each track, and
+     clear inside the tracks otherwise, while it flashes at 2Hz during the lead-out. The
+     starts of the tracks and of the lead-out are only known once we've seen their sectors,
+     so the P flag of each sector with a valid subchannel Q is held back along with its
+     position, until we're 225 sectors past it, as no start further than that changes what it
+     should be. The lead-in isn't checked. */
+  const pRecords = []
+  // The start of a track, or of the lead-out, is where its relative time is zero.
+  const trackStarts = new Set()
+  let leadOutStart
+  // Consecutive violations are reported as a single range, and only the first ones are kept.
+  const pRanges = []
+  let lastPRange
+  let pRangeCount = 0
+  let pViolations = 0
+
+  function pushPRecord(record) {
+    if (record.leadOut) {
+      leadOutStart ??= record.absolute - record.relative
+    } else if (record.index !== 0) {
+      trackStarts.add(record.absolute - record.relative)
+    }
+    pRecords.push(record)
+    while (pRecords.length > 226 || pRecords[0].absolute < record.absolute - 225) {
+      checkPRecord(pRecords.shift())
+    }
+  }
+
+  // The expected P flag of a sector, and why, or null for the flag when either is fine,
+  // which is from 2 to 3 seconds before a start, and around the transitions of the 2Hz
+  // flashing, as a sector is a bit more than an eighth of its period.
+  function expectedP(record) {
+    if (record.leadOut) {
+      const flash = n => (leadOutPause(n) ? 1 : 0)
+      const p = flash(record.relative)
+      return { p: flash(record.relative - 1) === p && flash(record.relative + 1) === p ? p : null, reason: 'lead-out' }
+    }
+    if (record.index === 0) {
+      return { p: 1, reason: 'pause' }
+    }
+    const starts = [...trackStarts]
+    if (starts.some(start => record.absolute < start && record.absolute >= start - 150)) {
+      return { p: 1, reason: 'before a track start' }
+    }
+    if (leadOutStart !== undefined) starts.push(leadOutStart)
+    if (starts.some(start => record.absolute < start && record.absolute >= start - 225)) {
+      return { p: null, reason: 'before a track start' }
+    }
+    return { p: 0, reason: 'inside a track' }
+  }
+
+  function checkPRecord(record) {
+    const { p, reason } = expectedP(record)
+    if (p === null || record.p === null || p === record.p) return
+    pViolations++
+    const last = lastPRange
+    if (last && last.p === p && last.reason === reason && last.to === record.absolute - 1) {
+      last.to = record.absolute
+    } else {
+      lastPRange = { p, reason, from: record.absolute, to: record.absolute }
+      if (pRanges.length < 10) pRanges.push(lastPRange)
+      pRangeCount++
+    }
+  }
+
+  // Checks the sectors still held back, reports the violations, and returns their count.
+  function checkPChannel() {
+    while (pRecords.length > 0) checkPRecord(pRecords.shift())
+    const address = absolute => {
+      const tc = msf.to(absolute)
+      return [tc.m, tc.s, tc.f].map(v => v.toString().padStart(2, '0')).join(':')
+    }
+    for (const range of pRanges) {
+      console.log('P channel should be ' + range.p + ' ' + range.reason + ', from ' + address(range.from) + ' to ' + address(range.to))
+    }
+    if (pRangeCount > 10) {
+      console.log('... and ' + (pRangeCount - 10) + ' more P channel violations')
+    }
+    return pViolations
+  }
 
-  for (let i = 2; i < sectors.length; i++) {
+  async function decodeSector(i) {
+    decodedSectors++
     sectorLog()
     sectorLog('******** Analyzing sector ' + (i - 1) + ' ********')
 
+    const framing = getSector(i - 1)
+    if (framing.inferredS0) sectorLogError('S0 missing, inferred from the frame count')
+    if (framing.inferredS1) sectorLogError('S1 missing, inferred from the frame count')
+    if (framing.suspectFrames.length !== 0) {
+      sectorLogError('Suspect frames: ' + framing.suspectFrames.join(', '))
+    }
+
     // We start analyzing a sector by looking over its subchannel information. This
-    // means we are transposing the data first.
-    let isDigital = false
+    // means we are transposing the data first. The data bit of the control bits is only
+    // trusted when the CRC of Q is valid, see below.
+    let dataBit = false
     let validSubchannel = true
     const subbits = [[], [], [], [], [], [], [], []]
     for (let s = 0; s < 96; s++) {
-      const sb = sectors[i - 1].subchannel[s]
+      const sb = getSector(i - 1).subchannel[s]
       if (typeof sb === 'string' || sb < 0) {
         validSubchannel = false
         break
@@ -456,7 +1348,7 @@ async function main() {
       }
     }
     if (!validSubchannel) {
-      sectorLog('Invalid subchannel bytes')
+      sectorLog('Invalid subchannel bytes, assuming the control bits of the last valid Q')
     } else {
       sectorLog('Subchannels: ')
       const names = ['P', 'Q', 'R', 'S', 'T', 'U', 'V', 'W']
@@ -468,6 +1360,7 @@ async function main() {
       // meaning for CD-Text, and other extensions, but this is way beyond the
       // scope of this tool.
       const P = subbits[0].reduce((c, b) => c + b, 0)
+      const pFlag = P === 96 ? 1 : P === 0 ? 0 : null
       if (P === 96) {
         sectorLog('P channel indicates gap')
       } else if (P === 0) {
@@ -500,7 +1393,7 @@ async function main() {
       }
       if (Q[0] === 0 && Q[1] === 1 && Q[3] === 0) {
         sectorLog(' . digital data')
-        isDigital = true
+        dataBit = true
       }
       if (Q[0] === 1) {
         sectorLog(' . broadcasting use')
@@ -537,6 +1430,11 @@ async function main() {
         ' - ' +
         (count === 16 ? 'valid' : 'invalid')
       )
+      if (count === 16) {
+        dataTrack = dataBit
+      } else {
+        sectorLog(' . Assuming the control bits of the last valid Q: ' + (dataTrack ? 'digital data' : 'audio'))
+      }
       sectorLog('Decoding Data-Q')
       switch (adr) {
         case 0: {
@@ -558,9 +1456,10 @@ async function main() {
             }
             bcd.push(v.toString(16).padStart(2, '0'))
           }
+          // The fields are hex strings, so that BCD values read as their decimal digits.
           const TNO = bcd[0]
           switch (TNO) {
-            case 0x00: {
+            case '00': {
               sectorLog(
                 ' . Mode 1, LeadIn, POINT:' +
                 bcd[1] +
@@ -582,9 +1481,19 @@ async function main() {
               break
             }
             default: {
+              if (count === 16) {
+                const time = (m, s, f) => msf.from({ m: parseInt(m), s: parseInt(s), f: parseInt(f) })
+                pushPRecord({
+                  absolute: time(bcd[6], bcd[7], bcd[8]),
+                  relative: time(bcd[2], bcd[3], bcd[4]),
+                  leadOut: TNO === 'aa',
+                  index: parseInt(bcd[1]),
+                  p: pFlag
+                })
+              }
               sectorLog(
                 ' . Mode 1, ' +
-                (TNO === 0xaa ? ' LeadOut,' : 'TNO:' + TNO) +
+                (TNO === 'aa' ? 'LeadOut,' : 'TNO:' + TNO) +
                 ' X:' +
                 bcd[1] +
                 ' MIN:' +
@@ -676,272 +1585,147 @@ async function main() {
       }
     }
     // This was all for the Q channel according to the spec.
+    const isDigital = dataTrack
 
-    // Allocate the sector buffer here, since it'll be used in the rest of
-    // the scope, but it's only going to be used near the end.
+    // The un-swizzled data, before the shift of the profile is applied.
     const sectordata = Buffer.alloc(2352)
+    const c2Failures = correctionStats.c2Failed
 
-    // This helper function is a read-write accessor for the delayed bytes.
-    // Given a delay value, a row, and a column, it will return the value of the
-    // byte at that position, or set it if a value is provided. It's a bit of a
-    // virtual array accessor, considering the data as an infinite number of rows
-    // for 32 columns, hopping around the data, c1, and c2 fields.
-    const delayedByte = (delay, row, column, value) => {
-      let sectorNumber = i
-      while (row < delay) {
-        sectorNumber--
-        delay -= 98
-      }
-      row -= delay
-
-      if (column < 12) {
-        const idx = 24 * row + column
-        if (value !== undefined) sectors[sectorNumber].data[idx] = value
-        return sectors[sectorNumber].data[idx]
-      } else if (column < 16) {
-        const idx = 4 * row + column - 12
-        if (value !== undefined) sectors[sectorNumber].c2[idx] = value
-        return sectors[sectorNumber].c2[idx]
-      } else if (column < 28) {
-        const idx = 24 * row + column - 4
-        if (value !== undefined) sectors[sectorNumber].data[idx] = value
-        return sectors[sectorNumber].data[idx]
-      } else {
-        const idx = 4 * row + column - 28
-        if (value !== undefined) sectors[sectorNumber].c1[idx] = value
-        return sectors[sectorNumber].c1[idx]
-      }
-    }
+    // This helper function is a read-write accessor for the delayed bytes. Given a delay
+    // value, a row, and a column, it will return the value of the byte at that position,
+    // or set it if a value is provided, relative to the current sector.
+    const delayedByte = (delay, row, column, value) => streamByte(i * 98 + row - delay, column, value)
 
     for (let r = 0; r < 98; r++) {
-      // We start with processing C1, gathering all of the data for it, and
-      // checking for errors. Note this will naturally cover C2 as part of
-      // the processing, and the fact it's also delayed itself means that
-      // the whole of the data covered by the ECC of a single frame is a
-      // weird criss cross pattern trough the data. More importantly, the
-      // coverage of a data line may happen in the future or in the past
-      // for a given ECC line, which means that when correcting errors,
-      // the order of operations is extremely important. This whole tool
-      // would need to be reworked to do this properly to account for
-      // this time-traveling aspect of the data.
-      {
-        const syndromes = []
-        const coeffs = []
-        const erasures = []
-        const erratas = []
-        let gotError = false
-        for (let b = 0; b < 32; b++) {
-          // The delay for C1 is luckily simple: it's either 0 or 1, depending
-          // on the column's parity.
-          const v = delayedByte(b % 2, r, b)
-          if (v < 0) {
-            coeffs[b] = 0
-            erasures.push(gf.exp(31 - b))
-            erratas.push(b)
-          } else {
-            coeffs[b] = v
-          }
-        }
-        // Fairly certain the jqf.poly library is buggy, and that sometimes,
-        // it will result in the wrong evaluation. I've somewhat narrowed it
-        // down to when one of the recovery bytes have 0s in them, and I
-        // think the library is taking the wrong shortcut as a result, but
-        // I'm not exactly in the mood for fishing for this. This means this
-        // may rarely yield false negatives. Same with the C2 calculation
-        // below.
-        const polynomial = poly.create(coeffs, gf)
-        let e = 1
-        for (let s = 0; s < 4; s++) {
-          const syndrome = polynomial.evaluate(e)
-          if (syndrome !== 0) gotError = true
-          syndromes.push(syndrome)
-          e *= 2
-        }
-        if (gotError) {
-          sectorLogError(
-            'C1 sector: ' + i + ', row: ' + r + ', syndromes: ' + syndromes
-          )
-          sectorLogError('C1 corrupted data: ' + coeffs)
-          const hcoeffs = []
-          for (let i = 0; i < coeffs.length; i++) {
-            hcoeffs[i] = tohex(coeffs[i])
-          }
-          sectorLogError('C1 corrupted data: ' + hcoeffs)
-          const originalSyndromes = [...syndromes]
-          erasures.forEach(e => {
-            for (let s = 0; s < syndromes.length - 1; s++) {
-              syndromes[s] = gf.mul(syndromes[s], e) ^ syndromes[s + 1]
-            }
-          })
-          sectorLogError('C1 Forney syndromes: ' + syndromes)
-          let locator = poly.create([1], gf)
-          let old = poly.create([1], gf)
-          for (let K = 0; K < 4 - erasures.length; K++) {
-            let delta = syndromes[K]
-            for (let l = 0; l < locator.getDegree(); l++) {
-              const c = locator.getCoefficient(locator.getDegree() - l)
-              const s = syndromes[K - l - 1]
-              const m = gf.mul(c, s)
-              delta = gf.add(delta, m)
-            }
-            old = old.multiplyByMonomial(1, 1)
-            if (delta !== 0) {
-              if (old.getDegree() > locator.getDegree()) {
-                const t = old.multiplyScalar(delta)
-                old = locator.multiplyScalar(gf.inv(delta))
-                locator = t
-              }
-              locator = locator.add(old.multiplyScalar(delta))
-            }
-          }
-          // TODO: Apply error correction here. At this point, the math becomes horrendous,
-          // and I don't have the patience to do it. Furthermore, the jqr-gf library is
-          // buggy, and it fails to perform the math for it properly. Plus, see the comment
-          // at the top of this loop about time travel. At least we can see the errors.
-          sectorLogError('C1 Locator: ' + locator.getCoefficients())
-          let e = 1
-          for (let p = 31; p >= 0; p--) {
-            const r = locator.evaluate(e)
-            if (r === 0) erratas.push(p)
-            e *= 2
-          }
-          sectorLogError('C1 Erratas: ' + erratas)
-        }
-      }
-
-      // Next we process C2, which is more complex, as its delayed lines are
-      // not so simple. The `delayed` array below hardcodes the pattern of
-      // the delayed lines. This is otherwise the same sort of processing as
-      // the above, so this is technically copy/pasted. I avoided factorizing
-      // this however for clarity.
-      {
-        const syndromes = []
-        const coeffs = []
-        const erasures = []
-        const erratas = []
-        let gotError = false
-        const delayed = [
-          107, 104, 99, 96, 91, 88, 83, 80, 75, 72, 67, 64, 59, 56, 51, 48, 43,
-          40, 35, 32, 27, 24, 19, 16, 11, 8, 3, 0
-        ]
-        for (let b = 0; b < 28; b++) {
-          const v = delayedByte(delayed[b], r, b)
-          if (v < 0) {
-            coeffs[b] = 0
-            erasures.push(gf.exp(31 - b))
-            erratas.push(b)
-          } else {
-            coeffs[b] = v
-          }
-        }
-        const polynomial = poly.create(coeffs, gf)
-        let e = 1
-        for (let s = 0; s < 4; s++) {
-          const syndrome = polynomial.evaluate(e)
-          if (syndrome !== 0) gotError = true
-          syndromes.push(syndrome)
-          e *= 2
-        }
-        if (gotError) {
-          sectorLogError(
-            'C2 sector: ' + i + ', row: ' + r + ', syndromes: ' + syndromes
-          )
-          sectorLogError('C2 corrupted data: ' + coeffs)
-          const hcoeffs = []
-          for (let i = 0; i < coeffs.length; i++) {
-            hcoeffs[i] = tohex(coeffs[i])
-          }
-          sectorLogError('C2 corrupted data: ' + hcoeffs)
-          const originalSyndromes = [...syndromes]
-          erasures.forEach(e => {
-            for (let s = 0; s < syndromes.length - 1; s++) {
-              syndromes[s] = gf.mul(syndromes[s], e) ^ syndromes[s + 1]
-            }
-          })
-          sectorLogError('C2 Forney syndromes: ' + syndromes)
-          let locator = poly.create([1], gf)
-          let old = poly.create([1], gf)
-          for (let K = 0; K < 4 - erasures.length; K++) {
-            let delta = syndromes[K]
-            for (let l = 0; l < locator.getDegree(); l++) {
-              const c = locator.getCoefficient(locator.getDegree() - l)
-              const s = syndromes[K - l - 1]
-              const m = gf.mul(c, s)
-              delta = gf.add(delta, m)
-            }
-            old = old.multiplyByMonomial(1, 1)
-            if (delta !== 0) {
-              if (old.getDegree() > locator.getDegree()) {
-                const t = old.multiplyScalar(delta)
-                old = locator.multiplyScalar(gf.inv(delta))
-                locator = t
-              }
-              locator = locator.add(old.multiplyScalar(delta))
-            }
-          }
-          // TODO: correct errors. See the comment in C1's algorithm.
-          sectorLogError('C2 Locator: ' + locator.getCoefficients())
-          let e = 1
-          for (let p = 31; p >= 0; p--) {
-            const r = locator.evaluate(e)
-            if (r === 0) erratas.push(p)
-            e *= 2
-          }
-          sectorLogError('C2 Erratas: ' + erratas)
-        }
-      }
+      // Run the C1 and C2 decoders up to the rows the data for this row depends on.
+      // See the comment above about time travel.
+      const row = i * 98 + r
+      while (nextC1Row <= row + 2 && nextC1Row < sectorCount * 98) correctC1(nextC1Row++)
+      while (nextC2Row <= row + 1 && nextC2Row < sectorCount * 98) correctC2(nextC2Row++)
 
       // Now that C1 and C2 are finished processing, we can now gather the
-      // data for the sector.
-
-      // This is a swizzling pattern for the data, but not the only valid one.
-      // This one was chosen because it is straddling the buffer the least, but
-      // dumping bitstreams from different discs manufactured by different means
-      // will definitely yield different patterns. This is a row-column swizzling
-      // pattern, and that's the meaning of each entry in the array.
-      const delayeddata = [
-        [3, 1], [0, 0], [27, 7], [24, 6], [65, 17], [62, 16], [89, 23], [86, 22],
-        [11, 3], [8, 2], [35, 9], [32, 8], [73, 19], [70, 18], [97, 25], [94, 24],
-        [19, 5], [16, 4], [43, 11], [40, 10], [81, 21], [78, 20], [105, 27], [102, 26]
-      ]
-
+      // data for the sector, using the swizzling pattern of the profile.
       for (let d = 0; d < 24; d++) {
-        // This "106" here can also vary depending on the disc. Here it's just max
-        // row-delay + 1, but I've seen some wildly different values from one disc
-        // to another.
-        const delay = 106 - delayeddata[d][0]
-        const column = delayeddata[d][1]
+        const delay = profile.offset - profile.table[d][0]
+        const column = profile.table[d][1]
         const delayed = delayedByte(delay, r, column)
         const offset = r * 24 + d
         sectordata[offset] = delayed
       }
     }
 
+    const subchannel = Buffer.alloc(96)
+    for (let s = 0; s < 96; s++) {
+      const b = getSector(i - 1).subchannel[s]
+      subchannel[s] = typeof b === 'number' ? b : 0
+    }
+
+    const held = {
+      i,
+      isDigital,
+      swizzled: dumpSectorData ? Buffer.from(getSector(i).data) : null,
+      previous: getSector(i - 1).unswizzled ?? Buffer.alloc(2352),
+      current: sectordata,
+      subchannel
+    }
+    getSector(i).unswizzled = sectordata
+
+    if (profileReady) {
+      await outputSector(held)
+      return
+    }
+
+    // Still looking for the profile. The sync pattern may straddle two sectors. A sector
+    // with a sync pattern votes even when its control bits say audio, as they may be wrong.
+    heldSectors.push(held)
+    if (correctionStats.c2Failed === c2Failures) {
+      const sync = Buffer.concat([held.previous.subarray(2352 - 11), sectordata]).indexOf(dataSync)
+      if (isDigital || sync !== -1) votingSectors++
+      if (sync !== -1) {
+        const shift = (2352 - (sync - 11)) % 2352
+        shiftVotes.set(shift, (shiftVotes.get(shift) ?? 0) + 1)
+      }
+    }
+    if (heldSectors.length >= 32 || Math.max(0, ...shiftVotes.values()) >= 8) {
+      await chooseProfile()
+    }
+  }
+
+  const dataSync = Uint8Array.from([0x00, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0x00])
+
+  // Picks the shift with the most votes, and releases the sectors held back.
+  async function chooseProfile() {
+    let best = 0
+    let votes = 0
+    for (const [shift, count] of shiftVotes) {
+      if (count > votes) {
+        best = shift
+        votes = count
+      }
+    }
+    profile.shift = best
+    profileReady = true
+    console.log('L1 profile: ' + profile.name + ', offset ' + profile.offset + ', shift ' + profile.shift +
+      ' (' + votes + ' sync hits in ' + votingSectors + ' clean data sectors out of ' + heldSectors.length + ')')
+    for (const held of heldSectors) {
+      await outputSector(held)
+    }
+    heldSectors.length = 0
+  }
+
+  const verdictStats = { clean: 0, corrected: 0, unrecoverable: 0 }
+
+  // Applies the shift of the profile, descrambles, and writes out a decoded sector.
+  async function outputSector(held) {
+    const { i, isDigital, subchannel } = held
+    const shift = profile.shift
+    const sectordata = Buffer.concat([held.previous.subarray(2352 - shift), held.current.subarray(0, 2352 - shift)])
+
     // We're almost done.
     if (dumpSectorData) {
-      console.log('Swizzled sector:')
-      console.log(hexer(Buffer.from(sectors[i].data), { group: 1, cols: 24 }))
+      console.log('Swizzled sector ' + (i - 1) + ':')
+      console.log(hexer(held.swizzled, { group: 1, cols: 24 }))
       console.log('Re-ordered sector:')
       console.log(hexer(sectordata, { group: 1, cols: 24 }))
     }
 
+    /* If we got the hint that this sector may be data, from its control bits or the ones
+       of its track, look for the sync pattern, and de-scramble the payload. The sync pattern
+       may be damaged, in which case it is assumed to be where the profile puts it, at the
+       beginning of the sector, and restored, so that the sector still gets its verdict.
+       Conversely, a sector with the sync pattern right there is data, whatever its control
+       bits say, as a sync pattern at this exact place is very unlikely in audio. */
     let descrambled = false
-    if (isDigital) {
-      // If we got the hint that this sector may be data, look for the sync pattern,
-      // and de-scramble the payload.
-      const sync = sectordata.indexOf(Uint8Array.from([0x00, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0x00]))
-      if (sync !== -1) {
-        descrambled = true
-        sectorLog('Digital data sync pattern found at offset ' + sync + ' (0x' + tohex(sync) + ')')
-        for (let i = 12; i < 2352; i++) {
-          // This may look weird, but remember that there's no proper synchronization between
-          // subchannel and data, so the actual data may start virtually anywhere in the sector.
-          // However, the PRNG for the scrambling is always starting at the beginning of the
-          // data payload, which is always at offset 12. Hence the weird modulo.
-          sectordata[(i + sync) % 2352] ^= scrambleLUT[i - 12]
+    let sync = sectordata.indexOf(dataSync)
+    if (isDigital && sync === -1) {
+      sectorLogError('Digital data sync pattern not found, restoring it at offset 0')
+      sectordata.set(dataSync, 0)
+      sync = 0
+    } else if (isDigital || sync === 0) {
+      sectorLog('Digital data sync pattern found at offset ' + sync + ' (0x' + tohex(sync) + ')' + (isDigital ? '' : ', despite the control bits'))
+    }
+    if (isDigital || sync === 0) {
+      descrambled = true
+      for (let i = 12; i < 2352; i++) {
+        // This may look weird, but remember that there's no proper synchronization between
+        // subchannel and data, so the actual data may start virtually anywhere in the sector.
+        // However, the PRNG for the scrambling is always starting at the beginning of the
+        // data payload, which is always at offset 12. Hence the weird modulo.
+        sectordata[(i + sync) % 2352] ^= scrambleLUT[i - 12]
+      }
+      // The sector may straddle the end of the buffer, so check a straightened up copy,
+      // and put the corrected bytes back in place.
+      const straight = Buffer.concat([sectordata.subarray(sync), sectordata.subarray(0, sync)])
+      const result = dataSectors.verify(straight)
+      const address = [result.address.m, result.address.s, result.address.f].map(v => String(v).padStart(2, '0')).join(':')
+      const kind = result.form ? 'Mode 2 Form ' + result.form : 'Mode ' + result.mode
+      const log = result.verdict === 'clean' ? sectorLog : sectorLogError
+      log('Data sector ' + address + ', ' + kind + ': ' + result.verdict + (result.corrected ? ', ' + result.corrected + ' bytes corrected' : ''))
+      verdictStats[result.verdict]++
+      if (result.verdict === 'corrected') {
+        for (let i = 0; i < 2352; i++) {
+          sectordata[(i + sync) % 2352] = straight[i]
         }
-      } else {
-        sectorLog('Digital data bit set, but no sync pattern found')
       }
     }
 
@@ -952,18 +1736,67 @@ async function main() {
     }
 
     if (outputFile) {
-      outputFile.write(Buffer.alloc(2352, sectordata, null))
-      for (let s = 0; s < 96; s++) {
-        const b = sectors[i - 1].subchannel[s]
-        outputFile.write(Buffer.alloc(1, [b], null))
-      }
+      await write(outputFile, Buffer.concat([sectordata, subchannel]))
     }
 
     if (cookedFile) {
-      cookedFile.write(Buffer.alloc(2352, sectordata, null))
+      await write(cookedFile, sectordata)
+    }
+  }
+
+  /* Called each time a sector is complete. The frames before the first S0 and S1 were
+     already thrown away by the sector framing, since the capture probably started in the
+     middle of a sector. Then, each new sector lets us decode the one before it, and due to
+     the delayed lines, we need at least 2 sectors worth of data before that. */
+  async function pushSector(sector) {
+    sectorWindow.push(sector)
+    sectorCount++
+    if (sector.gotS0 && sector.gotS1 && sector.suspectFrames.length === 0) validSectors++
+    const i = sectorCount - 2
+    if (i >= 2) {
+      await decodeSector(i)
+      while (firstSector < i - 1) {
+        sectorWindow.shift()
+        firstSector++
+      }
     }
   }
 
+  console.log('Parsing frames')
+
+  let frameCounter = 0
+  for await (const frame of readFrames(readBitsFile(inputFile))) {
+    for (const sector of pushFrame(parseFrame(frame, frameCounter), frameCounter)) {
+      await pushSector(sector)
+    }
+    frameCounter++
+  }
+  // The last complete sector has no future data, but we can still decode most of it.
+  if (sectorCount >= 3) {
+    await decodeSector(sectorCount - 1)
+  }
+  if (!profileReady) {
+    await chooseProfile()
+  }
+  flushPNG()
+
+  console.log()
+  console.log('================================')
+
+  console.log('Sync slips: ' + syncStats.slips + ' (' + syncStats.lostBits + ' bits lost, ' + syncStats.insertedBits + ' bits inserted)')
+  console.log('Missing sync patterns: ' + syncStats.missed + ', re-locks: ' + syncStats.relocks + ', blank frames: ' + syncStats.blankFrames)
+  console.log('Inferred S0: ' + framingStats.inferredS0 + ', inferred S1: ' + framingStats.inferredS1)
+  const invalidKinds = Object.keys(invalidSymbols).map(kind => kind + ': ' + invalidSymbols[kind])
+  console.log('Invalid EFM symbols: ' + Object.values(invalidSymbols).reduce((a, b) => a + b, 0) + (invalidKinds.length ? ' (' + invalidKinds.join(', ') + ')' : ''))
+  console.log('Sector resyncs: ' + framingStats.resyncs + ' (' + framingStats.paddedFrames + ' frames padded, ' + framingStats.droppedFrames + ' frames dropped)')
+  console.log('Got ' + sectorCount + ' sectors')
+  console.log('Got ' + validSectors + ' valid sectors')
+  console.log('Decoded ' + decodedSectors + ' sectors')
+  console.log('C1 codewords corrected: ' + correctionStats.c1Corrected + ', uncorrectable: ' + correctionStats.c1Failed)
+  console.log('C2 codewords corrected: ' + correctionStats.c2Corrected + ', uncorrectable: ' + correctionStats.c2Failed)
+  console.log('Data sectors clean: ' + verdictStats.clean + ', corrected: ' + verdictStats.corrected + ', unrecoverable: ' + verdictStats.unrecoverable)
+  console.log('P channel violations: ' + checkPChannel() + ' sectors')
+
   if (outputFile) {
     outputFile.end()
   }
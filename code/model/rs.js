@@ -1,15 +1,9 @@
 'use strict'
 
-// The jqr-* packages are buggy, but good enough for what we do here.
-// Error correction will not work properly with them. Also, sometimes
-// the generic encoder based off dynamic generators will badly pad the
-// output message. This comment is duplicated later in this file.
-const poly = require('jqr-poly')
-const gf = require('jqr-gf')
-
-// The division will try to call sub from the field, but it's not defined.
-// Luckily, it's easy to remedy this problem.
-gf.sub = gf.add
+// The Galois field arithmetic is in its own module, as it's shared with the other users of
+// Reed-Solomon codes, such as the P and Q parity of data sectors.
+const gf = require('./gf')
+const { ERASURE } = require('./efm')
 
 /* This code provides four Reed Solomon encoders. One very generic, that will output
    parity bytes that belong at the end of the input stream, for any number of
@@ -18,14 +12,15 @@ gf.sub = gf.add
    fourth will be a matrix multiplication encoder, tuned specifically for C1 and C2.
  */
 
-/* One important detail about these encoders is they all assume the inputs are bytes.
-   But technically, we could artificially inject the ERASURE symbol from the EMF lookup
-   table. If an erased symbol is encountered, then the encoder ought to generate erased
-   symbols on its output. This might be better handled from the top level caller, however.
-   See encoder.js for more details.
+/* One important detail about these encoders is they all assume the inputs are bytes,
+   except for the C1 and C2 ones, which also accept the ERASURE symbol from the EFM lookup
+   table. Since every parity byte depends on every input byte, if an erased symbol is
+   encountered, then all of the output parity bytes are erased as well. This is what the
+   encoder uses when it's restarted after a seek, see encoder.js for more details.
  */
 
-// Generated using the genMatrices.py script
+// Generated using the genMatrices.py script, or its matrices.js port, whose unit
+// test verifies these tables.
 const c1s = [
   0xf9, 0xcd, 0x43, 0x94, 0x8e, 0xfc, 0x0b, 0xba, 0xb4, 0xda, 0x83, 0xcb, 0xc5, 0xc7, 0x28, 0x0b,
   0x05, 0xca, 0x07, 0xa1, 0x9b, 0x29, 0x29, 0x9f, 0x99, 0x88, 0x50, 0x8a, 0x84, 0x6a, 0x93, 0x95,
@@ -43,9 +38,47 @@ const c2s = [
   0x7d, 0x9c, 0x4e, 0xbe, 0xb8, 0x2f, 0x88, 0x74, 0x6e, 0xd1, 0x82, 0x16, 0x10, 0xb7, 0x55, 0x40,
   0x3a, 0x8a, 0x6c, 0x44, 0x3e, 0xe8, 0x73, 0x8f, 0x89, 0xcd, 0xb2, 0x77, 0x71, 0x78, 0xf6, 0x16
 ]
+exports.c1s = c1s
+exports.c2s = c2s
+
+/* Polynomials in here are stored with their lowest degree first, unlike messages, which are
+   always stored with their highest degree first, so that the first byte of a message is the
+   coefficient for x^(n-1), and the last parity byte is the constant. The multiplication
+   doesn't care about this, as long as both operands use the same ordering. */
+
+function polyEvaluate(p, x) {
+  let y = 0
+  for (let i = p.length - 1; i >= 0; i--) {
+    y = gf.add(gf.mul(y, x), p[i])
+  }
+  return y
+}
+
+function polyScale(p, x) {
+  return p.map(c => gf.mul(c, x))
+}
+
+function polyAdd(p, q) {
+  const ret = new Array(Math.max(p.length, q.length)).fill(0)
+  for (let i = 0; i < p.length; i++) ret[i] = gf.add(ret[i], p[i])
+  for (let i = 0; i < q.length; i++) ret[i] = gf.add(ret[i], q[i])
+  return ret
+}
+
+function polyMultiply(p, q) {
+  const ret = new Array(p.length + q.length - 1).fill(0)
+  for (let i = 0; i < p.length; i++) {
+    for (let j = 0; j < q.length; j++) {
+      ret[i + j] = gf.add(ret[i + j], gf.mul(p[i], q[j]))
+    }
+  }
+  return ret
+}
 
 /* Generic Reed Solomon creates a generator polynomial based on the number of parity bytes. Meaning
-   we can cache it after generating it and save cycles every time we want to encode another ECC. */
+   we can cache it after generating it and save cycles every time we want to encode another ECC.
+   The generator is the product of (x + alpha^i) for i between 0 and nsyms - 1, and is stored in
+   the message order, with its highest degree first, and is always monic. */
 
 const cachedGenerators = []
 
@@ -55,30 +88,36 @@ function getGenerator(nsyms) {
     return cached
   }
 
-  let g = poly.create([1], gf)
+  let g = [1]
 
   for (let i = 0; i < nsyms; i++) {
-    const m = poly.create([1, gf.exp(i)], gf)
-    g = g.multiply(m)
+    g = polyMultiply(g, [1, gf.exp(i)])
   }
   cachedGenerators[nsyms] = g
   return g
 }
+exports.getGenerator = getGenerator
 
 /* The generic encoder simply generates a polynomial out of the message to encode, and divide it
    by the generator polynomial. The remainder of the division makes the parity bytes to append
-   to the message. The math behind this is described here:
+   to the message, for a RS(n, k) code where k is the length of the message, and n is k + nsyms.
+   The math behind this is described here:
    https://en.wikipedia.org/wiki/Reed%E2%80%93Solomon_error_correction#Simple_encoding_procedure:_The_message_as_a_sequence_of_coefficients
-   However, note that the polynomial functions in jqr-poly are fairly buggy, and can produce
-   incorrect errors on some degenerated syndromes. There are other encoders below which will
-   produce correct results.
+   The division is done using a synthetic division, which is really the barrel shifter of the
+   encoder below, generalized to any number of parity bytes. Since the generator is monic, we
+   never need to divide anything, and the remainder is always exactly nsyms bytes long.
    */
 exports.encode = function (msg, nsyms) {
   const g = getGenerator(nsyms)
-  const polyMsg = poly.create(msg.concat(new Array(nsyms).fill(0)), gf)
-  const r = polyMsg.divide(g)
-  const ret = r[1].getCoefficients()
-  return ret.concat(new Array(nsyms - ret.length).fill(0))
+  const ret = new Array(nsyms).fill(0)
+  for (let i = 0; i < msg.length; i++) {
+    const c = gf.add(msg[i], ret[0])
+    for (let j = 0; j < nsyms - 1; j++) {
+      ret[j] = gf.add(ret[j + 1], gf.mul(g[j + 1], c))
+    }
+    ret[nsyms - 1] = gf.mul(g[nsyms], c)
+  }
+  return ret
 }
 
 /* This is a generic Reed Solomon encoder, for exactly 4 recovery bytes, and using a barrel shifter.
@@ -104,9 +143,9 @@ exports.encode_4 = function (msg) {
     if (c === 0) continue
     const lc = gf.log(c)
     // The modulo here is only to avoid overflow, as technically the input
-    // value to exp should be in the range of 0-255. But if the exponent
-    // table is precomputed with 512 values, then this is not needed.
-    // This comment applies to the rest of the code as well.
+    // value to exp should be in the range of 0-255. The gf.js module handles
+    // any exponent, but a hardware implementation with a 256 entries table
+    // would need it. This comment applies to the rest of the code as well.
     ret[0] = gf.add(ret[0], gf.exp((lc + 0x4b) % 255))
     ret[1] = gf.add(ret[1], gf.exp((lc + 0xf9) % 255))
     ret[2] = gf.add(ret[2], gf.exp((lc + 0x4e) % 255))
@@ -122,6 +161,9 @@ exports.encodeC1 = function (msg) {
   if (msg.length !== 28) {
     throw Error('Invalid message length for C1')
   }
+  if (msg.includes(ERASURE)) {
+    return new Array(4).fill(ERASURE)
+  }
   const ret = new Array(4).fill(0)
   for (let i = 0; i < 28; i++) {
     const c = msg[i]
@@ -145,6 +187,9 @@ exports.encodeC2 = function (msg) {
   if (msg.length !== 24) {
     throw Error('Invalid message length for C2')
   }
+  if (msg.includes(ERASURE)) {
+    return new Array(4).fill(ERASURE)
+  }
   const ret = new Array(4).fill(0)
   for (let i = 0; i < 24; i++) {
     const c = msg[i]
@@ -157,3 +202,128 @@ exports.encodeC2 = function (msg) {
   }
   return ret
 }
+
+// Evaluates a message at x, using Horner's method. This is the same as evaluating the
+// polynomial, except the coefficients are in the opposite order.
+function messageEvaluate(msg, x) {
+  let y = 0
+  for (const c of msg) {
+    y = gf.add(gf.mul(y, x), c)
+  }
+  return y
+}
+
+/* Computes the syndromes of a message, which are the evaluations of the message at the roots
+   of the generator polynomial. They are all zero if the message is a valid codeword. */
+function syndromes(msg, nsyms) {
+  const ret = []
+  for (let i = 0; i < nsyms; i++) {
+    ret.push(messageEvaluate(msg, gf.exp(i)))
+  }
+  return ret
+}
+exports.syndromes = syndromes
+
+/* This is a generic Reed Solomon decoder, which handles both errors and erasures. Erasures are
+   positions in the message that we know are wrong, for instance because the EFM decoder found an
+   invalid 14-bits pattern there, or because a previous decoding stage gave up on them. Knowing
+   where the errors are halves their cost, so that we can correct any combination where
+   2 * errors + erasures <= nsyms. The steps are the usual ones, see the wikiversity page linked
+   from the genMatrices.py script for more details about the math:
+   - Compute the syndromes. If they are all zero, there's nothing to correct.
+   - Compute the erasure locator polynomial out of the known erasure positions.
+   - Run Berlekamp-Massey, seeded with the erasure locator, to get the errata locator polynomial.
+   - Find its roots using a Chien search, which gives us the errata positions.
+   - Compute the errata magnitudes using the Forney algorithm.
+   The returned object always contains the original syndromes. If ok is true, it also contains
+   the corrected message, and the list of positions which were corrected. The input message is
+   left untouched. */
+exports.decode = function (msg, nsyms, erasures = []) {
+  const n = msg.length
+  const corrected = msg.map((v, i) => (erasures.includes(i) ? 0 : v))
+  const synds = syndromes(corrected, nsyms)
+  if (synds.every(s => s === 0)) {
+    return { ok: true, syndromes: synds, positions: [...erasures], corrected }
+  }
+  if (erasures.length > nsyms) {
+    return { ok: false, syndromes: synds }
+  }
+
+  // The locator of a position p is alpha^(n - 1 - p), since the first byte of the message is
+  // the highest degree coefficient.
+  const locator = p => gf.exp(n - 1 - p)
+
+  // The erasure locator is the product of (1 + X * x), for each erasure locator X.
+  let erasureLocator = [1]
+  for (const p of erasures) {
+    erasureLocator = polyMultiply(erasureLocator, [1, locator(p)])
+  }
+
+  // Berlekamp-Massey, with the erasures taken into account by seeding the locator with the
+  // erasure locator polynomial, and skipping as many iterations as we have erasures.
+  const rho = erasures.length
+  let lambda = [...erasureLocator]
+  let old = [...erasureLocator]
+  let l = rho
+  for (let r = rho; r < nsyms; r++) {
+    let delta = 0
+    for (let j = 0; j < lambda.length && j <= r; j++) {
+      delta = gf.add(delta, gf.mul(lambda[j], synds[r - j]))
+    }
+    const shifted = [0, ...old]
+    if (delta === 0) {
+      old = shifted
+    } else if (2 * l <= r + rho) {
+      const t = polyAdd(lambda, polyScale(shifted, delta))
+      old = polyScale(lambda, gf.inv(delta))
+      l = r + 1 + rho - l
+      lambda = t
+    } else {
+      lambda = polyAdd(lambda, polyScale(shifted, delta))
+      old = shifted
+    }
+  }
+  while (lambda.length > 1 && lambda[lambda.length - 1] === 0) {
+    lambda.pop()
+  }
+  const degree = lambda.length - 1
+  if ((degree - rho) * 2 + rho > nsyms) {
+    return { ok: false, syndromes: synds }
+  }
+
+  // Chien search: the roots of the locator polynomial are the inverses of the errata locators.
+  const positions = []
+  for (let p = 0; p < n; p++) {
+    if (polyEvaluate(lambda, gf.exp(p + 1 - n)) === 0) {
+      positions.push(p)
+    }
+  }
+  if (positions.length !== degree) {
+    return { ok: false, syndromes: synds }
+  }
+
+  // Forney: the errata evaluator is S(x) * lambda(x) mod x^nsyms, and the magnitude for a
+  // given locator X is X * evaluator(1 / X) / lambda'(1 / X), where lambda' is the formal
+  // derivative of the locator polynomial. In GF(2^8), this means only the odd terms remain.
+  const evaluator = polyMultiply(synds, lambda).slice(0, nsyms)
+  const derivative = []
+  for (let i = 1; i < lambda.length; i++) {
+    derivative.push(i % 2 === 1 ? lambda[i] : 0)
+  }
+  for (const p of positions) {
+    const x = locator(p)
+    const xinv = gf.inv(x)
+    const denominator = polyEvaluate(derivative, xinv)
+    if (denominator === 0) {
+      return { ok: false, syndromes: synds }
+    }
+    const magnitude = gf.mul(gf.mul(x, polyEvaluate(evaluator, xinv)), gf.inv(denominator))
+    corrected[p] = gf.add(corrected[p], magnitude)
+  }
+
+  // Last but not least, make sure we didn't just create a different wrong message.
+  if (syndromes(corrected, nsyms).some(s => s !== 0)) {
+    return { ok: false, syndromes: synds }
+  }
+  return { ok: true, syndromes: synds, positions, corrected }
+}
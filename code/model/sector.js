@@ -0,0 +1,184 @@
+'use strict'
+
+const fs = require('fs')
+const bcd = require('./bcd')
+const msf = require('./msf')
+const { edc } = require('./edc')
+const ecc = require('./ecc')
+
+/* This builds the 2352 bytes data sectors from the Yellow Book, before scrambling, which is
+   still done by the caller, as it applies to any data sector. They all start with the same
+   12 bytes sync pattern, followed by a 4 bytes header, which is the absolute address of the
+   sector in BCD MSF, and the mode. The lba is the sector number, where 0 is the start of the
+   program area, which is 2 seconds into the disc, hence the absolute address being 150
+   sectors further. */
+
+function header(sector, lba, mode) {
+  sector.fill(0xff, 1, 11)
+  // The sectors of the lead-in are before the start of the disc, so their addresses wrap
+  // around, counting down from 99:59:74.
+  const tc = msf.to((lba + 150 + 100 * 60 * 75) % (100 * 60 * 75))
+  sector[12] = bcd.to(tc.m)
+  sector[13] = bcd.to(tc.s)
+  sector[14] = bcd.to(tc.f)
+  sector[15] = mode
+}
+
+// A mode 0 sector, which is only its sync pattern and header, and zeroes everywhere else.
+exports.mode0 = lba => {
+  const sector = Buffer.alloc(2352)
+  header(sector, lba, 0)
+  return sector
+}
+
+/* A mode 1 sector holds 2048 bytes of user data, followed by the EDC of everything before it,
+   8 bytes of zero fill, and the P and Q parity, which cover the header as well. */
+exports.mode1 = (data, lba) => {
+  if (data.length !== 2048) {
+    throw Error('Mode 1 sectors need 2048 bytes of user data')
+  }
+  const sector = Buffer.alloc(2352)
+  header(sector, lba, 1)
+  sector.set(data, 16)
+  sector.writeUInt32LE(edc(sector, 0, 2064), 2064)
+  ecc.generate(sector)
+  return sector
+}
+
+/* A mode 2 sector has 2336 bytes after its header, which the CD-ROM XA specification lays
+   out further. They start with an 8 bytes subheader, which is the file number, the channel
+   number, the submode, and the coding information, twice over, since the subheader isn't
+   protected by anything else. The Form 2 bit of the submode then tells the form of the
+   sector:
+   - Form 1 holds 2048 bytes of user data, followed by the EDC and the P and Q parity, like
+     mode 1 does, except they cover the subheader and not the header. The parity is computed
+     as if the header was all zeroes, so that it doesn't change if the sector moves around.
+   - Form 2 holds 2324 bytes of user data, and an EDC, which is optional, and left as zeroes
+     when not used, for the data which can cope with errors, like audio and video.
+   The subheaders are objects with the file, channel, submode, and coding fields, plus an
+   optional edc field, which can be set to false for Form 2 sectors without an EDC. */
+const FORM2 = 0x20
+
+const isForm2 = subheader => (subheader.submode & FORM2) !== 0
+
+// The size of the user data of a sector with the given subheader.
+exports.userDataSize = subheader => (isForm2(subheader) ? 2324 : 2048)
+
+exports.mode2 = (subheader, data, lba) => {
+  if (data.length !== exports.userDataSize(subheader)) {
+    throw Error('Mode 2 Form ' + (isForm2(subheader) ? 2 : 1) + ' sectors need ' + exports.userDataSize(subheader) + ' bytes of user data')
+  }
+  const sector = Buffer.alloc(2352)
+  header(sector, lba, 2)
+  const fields = [subheader.file, subheader.channel, subheader.submode, subheader.coding]
+  sector.set(fields, 16)
+  sector.set(fields, 20)
+  sector.set(data, 24)
+  if (isForm2(subheader)) {
+    if (subheader.edc !== false) {
+      sector.writeUInt32LE(edc(sector, 16, 2348), 2348)
+    }
+    return sector
+  }
+  sector.writeUInt32LE(edc(sector, 16, 2072), 2072)
+  const address = Buffer.from(sector.subarray(12, 16))
+  sector.fill(0, 12, 16)
+  ecc.generate(sector)
+  sector.set(address, 12)
+  return sector
+}
+
+/* A mode 2 sector out of the 2336 bytes following its header, like the MODE2/2336 tracks of
+   some disc images. The first copy of the subheader and the user data are kept as is, and the
+   rest is computed again. A Form 2 sector whose EDC is zero is considered as not using it. */
+exports.xa = (raw, lba) => {
+  if (raw.length !== 2336) {
+    throw Error('XA sectors need 2336 bytes')
+  }
+  const subheader = { file: raw[0], channel: raw[1], submode: raw[2], coding: raw[3] }
+  if (isForm2(subheader)) {
+    subheader.edc = raw.readUInt32LE(2332) !== 0
+  }
+  return exports.mode2(subheader, raw.subarray(8, 8 + exports.userDataSize(subheader)), lba)
+}
+
+/* Loads the subheaders of a list of sectors from a JSON file, which holds an array of them,
+   one per sector. Since a lot of sectors in a row usually share the same subheader, each one
+   can have a count field to repeat it. */
+exports.loadSubheaders = filename => {
+  const subheaders = []
+  for (const entry of JSON.parse(fs.readFileSync(filename, 'utf8'))) {
+    const { count = 1, ...subheader } = entry
+    for (const field of ['file', 'channel', 'submode', 'coding']) {
+      if (!Number.isInteger(subheader[field]) || subheader[field] < 0 || subheader[field] > 255) {
+        throw Error('Invalid subheader ' + JSON.stringify(entry) + ': bad ' + field)
+      }
+    }
+    if (!Number.isInteger(count) || count < 0) {
+      throw Error('Invalid subheader ' + JSON.stringify(entry) + ': bad count')
+    }
+    for (let i = 0; i < count; i++) {
+      subheaders.push(subheader)
+    }
+  }
+  return subheaders
+}
+
+/* Checks a descrambled 2352 bytes data sector, starting with its sync pattern, and corrects
+   it in place if it can. The mode comes from the header, and the form of mode 2 sectors from
+   the submode. The EDC says whether the sector is fine, and if it isn't, the P and Q parity
+   is used to correct it, when the sector has some, with the header zeroed for mode 2, the
+   same way it was computed. Returns the address, mode, and form of the sector, along with
+   its verdict: clean, corrected, or unrecoverable, and the number of corrected bytes. Mode 0
+   sectors are clean when they are all zeroes, and Form 2 sectors without an EDC are always
+   clean, as there is no way to tell. */
+exports.verify = sector => {
+  const result = {
+    address: { m: bcd.from(sector[12]), s: bcd.from(sector[13]), f: bcd.from(sector[14]) },
+    mode: sector[15],
+    verdict: 'unrecoverable',
+    corrected: 0
+  }
+  let edcStart = 0
+  let edcEnd = 2064
+  let zeroHeader = false
+  let hasEcc = true
+  if (result.mode === 0) {
+    result.verdict = sector.subarray(16).every(b => b === 0) ? 'clean' : 'unrecoverable'
+    return result
+  } else if (result.mode === 2) {
+    result.form = isForm2({ submode: sector[18] }) ? 2 : 1
+    edcStart = 16
+    edcEnd = result.form === 2 ? 2348 : 2072
+    zeroHeader = true
+    hasEcc = result.form === 1
+  } else if (result.mode !== 1) {
+    return result
+  }
+  const stored = sector.readUInt32LE(edcEnd)
+  if (result.form === 2 && stored === 0) {
+    result.verdict = 'clean'
+    return result
+  }
+  if (edc(sector, edcStart, edcEnd) === stored) {
+    result.verdict = 'clean'
+    return result
+  }
+  if (!hasEcc) {
+    return result
+  }
+  const copy = Buffer.from(sector)
+  if (zeroHeader) {
+    copy.fill(0, 12, 16)
+  }
+  const corrected = ecc.correct(copy)
+  if (zeroHeader) {
+    copy.set(sector.subarray(12, 16), 12)
+  }
+  if (corrected >= 0 && edc(copy, edcStart, edcEnd) === copy.readUInt32LE(edcEnd)) {
+    sector.set(copy)
+    result.verdict = 'corrected'
+    result.corrected = corrected
+  }
+  return result
+}
@@ -0,0 +1,88 @@
+'use strict'
+
+const fs = require('fs')
+const crc16 = require('./crc16')
+
+/* Subchannel files, as dumping tools produce them next to the sectors, with 96 bytes of
+   subchannel data per sector. They come in two layouts:
+   - interleaved, which is the raw P-W form, where each byte holds one bit of each of the 8
+     subchannels, P being the most significant one, in the order they are on the disc. This
+     is what the encoders take, and what read-bits.js outputs after each sector.
+   - deinterleaved, where each subchannel has its own 12 bytes, one after the other, from P
+     to W, each with its 96 bits from the most significant one, which is what the .sub files
+     of CloneCD and most other tools are.
+   The sector k of a file is the subchannel of the sector at the LBA k, since dumps start
+   with the index 1 of the first track. */
+const layouts = ['interleaved', 'deinterleaved']
+
+// Turns a deinterleaved subchannel into an interleaved one.
+function interleave(data) {
+  const sub = new Array(96).fill(0)
+  for (let channel = 0; channel < 8; channel++) {
+    for (let i = 0; i < 96; i++) {
+      if (data[channel * 12 + (i >> 3)] & (0x80 >> (i & 7))) {
+        sub[i] |= 0x80 >> channel
+      }
+    }
+  }
+  return sub
+}
+
+// Extracts the 12 bytes of the subchannel Q out of an interleaved subchannel.
+function extractQ(sub) {
+  const subq = Buffer.alloc(12)
+  for (let i = 0; i < 96; i++) {
+    if (sub[i] & 0x40) {
+      subq[i >> 3] |= 0x80 >> (i & 7)
+    }
+  }
+  return subq
+}
+
+// Whether the CRC of the subchannel Q of an interleaved subchannel is valid.
+function validQ(sub) {
+  const subq = extractQ(sub)
+  return crc16.crc16(subq.subarray(0, 10)) === subq.readUInt16BE(10)
+}
+
+class SubchannelFile {
+  constructor(filename, layout = 'deinterleaved') {
+    if (!layouts.includes(layout)) {
+      throw Error('Unknown subchannel layout: ' + layout)
+    }
+    this.layout = layout
+    this.fd = fs.openSync(filename, 'r')
+    const size = fs.fstatSync(this.fd).size
+    // The number of whole sectors in the file, and the bytes left over after them, if any.
+    this.count = Math.floor(size / 96)
+    this.remainder = size % 96
+  }
+
+  // Reads the subchannel of the sector k of the file, in the interleaved form.
+  sector(k) {
+    const data = Buffer.alloc(96)
+    fs.readSync(this.fd, data, 0, 96, k * 96)
+    return this.layout === 'interleaved' ? Array.from(data) : interleave(data)
+  }
+
+  // Closes the file, once no more sectors are needed.
+  close() {
+    fs.closeSync(this.fd)
+  }
+
+  // Lists the sectors of the file whose subchannel Q has an invalid CRC.
+  invalidQ() {
+    const invalid = []
+    for (let k = 0; k < this.count; k++) {
+      if (!validQ(this.sector(k))) {
+        invalid.push(k)
+      }
+    }
+    return invalid
+  }
+}
+
+exports.SubchannelFile = SubchannelFile
+exports.layouts = layouts
+exports.interleave = interleave
+exports.validQ = validQ
@@ -0,0 +1,107 @@
+'use strict'
+
+// Checks the discs which cue.js builds out of CUE sheets, and the errors of the broken ones.
+const { test } = require('node:test')
+const assert = require('node:assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+const cue = require('../cue')
+
+/* Writes a CUE sheet next to a BIN file of count raw sectors, each of them filled with its
+   number within the file, loads it, and hands the disc over to check, before closing its
+   files. */
+function loadCUE(sheet, count, pregap, check = () => {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cue-'))
+  try {
+    const sectors = Array.from({ length: count }, (_, n) => Buffer.alloc(2352, n))
+    fs.writeFileSync(path.join(dir, 'image.bin'), Buffer.concat(sectors))
+    fs.writeFileSync(path.join(dir, 'image.cue'), sheet)
+    const disc = cue.load(path.join(dir, 'image.cue'), pregap)
+    try {
+      check(disc)
+    } finally {
+      for (const fd of new Set(disc.extents.map(extent => extent.fd).filter(fd => fd !== undefined))) fs.closeSync(fd)
+    }
+  } finally {
+    fs.rmSync(dir, { recursive: true })
+  }
+}
+
+// The extents of a disc, as their start, number of sectors, track number, index, and whether
+// they come from the file.
+const extents = disc => disc.extents.map(({ start, count, track, index, fd }) => [start, count, track.number, index, fd !== undefined])
+
+const twoTracks = `FILE "image.bin" BINARY
+  TRACK 01 MODE1/2352
+    INDEX 01 00:00:00
+  TRACK 02 AUDIO
+    FLAGS DCP PRE SCMS
+    PREGAP 00:00:05
+    INDEX 00 00:00:10
+    INDEX 01 00:00:12
+    POSTGAP 00:00:03
+`
+
+test('several tracks share a file, with their index 0, PREGAP and POSTGAP', () => {
+  loadCUE(twoTracks, 20, 0, disc => {
+    // The empty extents are the pregap of the disc, and the ones of the CUE sheet.
+    assert.deepStrictEqual(extents(disc), [
+      [0, 0, 1, 0, false],
+      [0, 0, 1, 0, false],
+      [0, 10, 1, 1, true],
+      [10, 0, 1, 1, false],
+      [10, 5, 2, 0, false],
+      [15, 2, 2, 0, true],
+      [17, 8, 2, 1, true],
+      [25, 3, 2, 1, false]
+    ])
+    assert.strictEqual(disc.end, 28)
+    assert.deepStrictEqual(disc.tracks.map(track => disc.trackStart(track)), [0, 17])
+    // The file sectors are read where their track and index say, and the others are generated.
+    assert.deepStrictEqual([0, 9, 15, 16, 17, 24].map(lba => disc.sector(lba)[100]), [0, 9, 10, 11, 12, 19])
+    assert.ok(disc.sector(12).every(b => b === 0))
+    assert.deepStrictEqual(disc.locate(14), { track: disc.tracks[1], index: 0, relative: 2 })
+    assert.deepStrictEqual(disc.locate(16), { track: disc.tracks[1], index: 0, relative: 0 })
+  })
+})
+
+test('FLAGS set the control bits of the track, and the data bit comes from its type', () => {
+  loadCUE(twoTracks, 20, 0, disc => {
+    assert.deepStrictEqual(disc.tracks.map(track => track.control), [0x4, 0x3])
+    assert.deepStrictEqual(disc.toc().slice(0, 2), [
+      { point: 0x01, control: 0x4, pmin: 0x00, psec: 0x02, pframe: 0x00 },
+      { point: 0x02, control: 0x3, pmin: 0x00, psec: 0x02, pframe: 0x17 }
+    ])
+  })
+})
+
+test('the pregap of the disc goes before the first track, and the INDEX 01 of the first track may be late', () => {
+  loadCUE('FILE "image.bin" BINARY\n  TRACK 01 AUDIO\n    INDEX 00 00:00:00\n    INDEX 01 00:00:04\n', 20, 150, disc => {
+    assert.deepStrictEqual(extents(disc), [
+      [-154, 150, 1, 0, false],
+      [-4, 0, 1, 0, false],
+      [-4, 4, 1, 0, true],
+      [0, 16, 1, 1, true],
+      [16, 0, 1, 1, false]
+    ])
+    assert.strictEqual(disc.start, -154)
+    assert.strictEqual(disc.sector(-4)[0], 0)
+    assert.strictEqual(disc.sector(0)[0], 4)
+  })
+})
+
+test('broken CUE sheets are rejected with their actual problem', () => {
+  // An index past the end of its file, with no track after it.
+  assert.throws(() => loadCUE('FILE "image.bin" BINARY\n  TRACK 01 MODE1/2352\n    INDEX 01 00:00:30\n', 20), /Track 1 starts past the end of image\.bin/)
+  // A track after the end of the file.
+  assert.throws(() => loadCUE('FILE "image.bin" BINARY\n  TRACK 01 AUDIO\n    INDEX 01 00:00:00\n  TRACK 02 AUDIO\n    INDEX 01 00:00:30\n', 20), /Track 2 starts past the end of image\.bin/)
+  // A next track with no index.
+  assert.throws(() => loadCUE('FILE "image.bin" BINARY\n  TRACK 01 AUDIO\n    INDEX 01 00:00:00\n  TRACK 02 AUDIO\n', 20), /Track 2 has no index/)
+  // Tracks which do overlap.
+  assert.throws(() => loadCUE('FILE "image.bin" BINARY\n  TRACK 01 AUDIO\n    INDEX 01 00:00:10\n  TRACK 02 AUDIO\n    INDEX 01 00:00:05\n', 20), /Track 1 overlaps the next one/)
+  assert.throws(() => loadCUE('FILE "image.bin" BINARY\n  TRACK 01 AUDIO\n    INDEX 01 00:00:05\n    INDEX 02 00:00:02\n', 20), /Track 1 has its indexes out of order/)
+  assert.throws(() => loadCUE('FILE "image.bin" BINARY\n  TRACK 01 AUDIO\n    FLAGS XYZ\n    INDEX 01 00:00:00\n', 20), /Unknown track flag: XYZ/)
+  assert.throws(() => loadCUE('FILE "image.bin" BINARY\n  TRACK 01 AUDIO\n    INDEX 01 00:00:75\n', 20), /Invalid time on line 3/)
+})
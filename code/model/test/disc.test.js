@@ -0,0 +1,91 @@
+'use strict'
+
+// Checks the layout of the discs of disc.js, and what the subchannels P and Q get out of it:
+// the table of contents, the relative times, and the pauses.
+const { test } = require('node:test')
+const assert = require('node:assert')
+
+const { Disc, leadInEntry, leadOutPause } = require('../disc')
+
+/* A disc of three tracks, with generated sectors only: a data track with a pregap of the
+   given length, an audio track with a pause and the PRE flag, and an audio track without
+   a pause. The index 1 of the tracks are at 0, 400 and 800, and the lead-out at 1000. */
+function makeDisc(pregap = 0, type = 'MODE1/2352') {
+  const disc = new Disc()
+  disc.addTrack(1, type)
+  disc.append(pregap, 0)
+  disc.append(300, 1)
+  disc.addTrack(2, 'AUDIO', ['PRE'])
+  disc.append(100, 0)
+  disc.append(400, 1)
+  disc.addTrack(3, 'AUDIO')
+  disc.append(200, 1)
+  return disc.finish()
+}
+
+test('the table of contents has an entry per track, and then A0, A1 and A2', () => {
+  assert.deepStrictEqual(makeDisc(150).toc(), [
+    { point: 0x01, control: 0x4, pmin: 0x00, psec: 0x02, pframe: 0x00 },
+    { point: 0x02, control: 0x1, pmin: 0x00, psec: 0x07, pframe: 0x25 },
+    { point: 0x03, control: 0x0, pmin: 0x00, psec: 0x12, pframe: 0x50 },
+    { point: 0xa0, control: 0x4, pmin: 0x01, psec: 0x00, pframe: 0x00 },
+    { point: 0xa1, control: 0x0, pmin: 0x03, psec: 0x00, pframe: 0x00 },
+    { point: 0xa2, control: 0x0, pmin: 0x00, psec: 0x15, pframe: 0x25 }
+  ])
+  // A disc with a mode 2 track is a CD-ROM XA one.
+  assert.strictEqual(makeDisc(0, 'MODE2/2352').toc()[3].psec, 0x20)
+})
+
+test('the lead-in repeats each entry of the table of contents three times in a row', () => {
+  const toc = makeDisc().toc()
+  const points = Array.from({ length: 2 * 3 * toc.length + 2 }, (_, n) => leadInEntry(toc, n).point)
+  const once = [0x01, 0x02, 0x03, 0xa0, 0xa1, 0xa2]
+  assert.deepStrictEqual(points, [...once, ...once, 0x01].flatMap(point => [point, point, point]).slice(0, points.length))
+})
+
+test('the relative time counts down to zero during a pause, and up from the index 1', () => {
+  const disc = makeDisc(150)
+  const at = lba => {
+    const { track, index, relative } = disc.locate(lba)
+    return [track.number, index, relative]
+  }
+  assert.strictEqual(disc.start, -150)
+  assert.deepStrictEqual([-150, -1, 0, 299].map(at), [[1, 0, 149], [1, 0, 0], [1, 1, 0], [1, 1, 299]])
+  assert.deepStrictEqual([300, 350, 399, 400, 450].map(at), [[2, 0, 99], [2, 0, 49], [2, 0, 0], [2, 1, 0], [2, 1, 50]])
+  assert.deepStrictEqual([799, 800, 999].map(at), [[2, 1, 399], [3, 1, 0], [3, 1, 199]])
+})
+
+test('the P flag is set during the pauses, and for the 150 sectors before each track start', () => {
+  const disc = makeDisc(150)
+  const ranges = []
+  for (let lba = disc.start; lba < disc.end; lba++) {
+    const last = ranges[ranges.length - 1]
+    if (last && last[2] === disc.pause(lba)) {
+      last[1] = lba + 1
+    } else {
+      ranges.push([lba, lba + 1, disc.pause(lba)])
+    }
+  }
+  assert.deepStrictEqual(ranges, [
+    // The pregap of the first track.
+    [-150, 0, true],
+    [0, 250, false],
+    // The end of the first track, before the pause of the second one, which is shorter
+    // than 2 seconds.
+    [250, 400, true],
+    [400, 650, false],
+    // The end of the second track, as the third one has no pause.
+    [650, 800, true],
+    [800, 1000, false]
+  ])
+})
+
+test('the P flag flashes at 2Hz during the lead-out', () => {
+  const toggles = []
+  for (let n = 1; n < 3 * 75; n++) {
+    if (leadOutPause(n) !== leadOutPause(n - 1)) toggles.push(n)
+  }
+  assert.strictEqual(leadOutPause(0), true)
+  // A change every 18.75 sectors, so 4 times per second of 75 sectors.
+  assert.deepStrictEqual(toggles, [19, 38, 57, 75, 94, 113, 132, 150, 169, 188, 207])
+})
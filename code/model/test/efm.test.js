@@ -0,0 +1,68 @@
+'use strict'
+
+// Round-trips frames through efm.Encoder and efm.Decoder, piped straight into each other.
+const { test } = require('node:test')
+const assert = require('node:assert')
+const { once } = require('events')
+
+const efm = require('../efm')
+
+// Random frames of 33 symbols: the subchannel, 12 data bytes, 4 C2 bytes, 12 data bytes,
+// and 4 C1 bytes, with S0 and S1 as the subchannel of the first two, as in a sector.
+function makeFrames(count) {
+  let seed = 1
+  const random = () => {
+    seed = (seed * 1103515245 + 12345) & 0x7fffffff
+    return (seed >> 16) & 0xff
+  }
+  const frames = []
+  for (let f = 0; f < count; f++) {
+    const frame = Array.from({ length: 33 }, random)
+    frame[0] = f % 98 === 0 ? efm.S0 : f % 98 === 1 ? efm.S1 : frame[0]
+    frames.push(frame)
+  }
+  return frames
+}
+
+async function roundTrip(frames, options) {
+  const encoder = new efm.Encoder(options)
+  const decoder = new efm.Decoder()
+  const decoded = []
+  decoder.on('data', frame => decoded.push(frame))
+  encoder.pipe(decoder)
+  for (const frame of frames) encoder.write(frame)
+  encoder.end()
+  await once(decoder, 'end')
+  return decoded
+}
+
+for (const merge of efm.mergeStrategies) {
+  test('decoder gives back the frames of the encoder, with ' + merge + ' merge bits', async () => {
+    const frames = makeFrames(200)
+    const decoded = await roundTrip(frames, { merge })
+    assert.strictEqual(decoded.length, frames.length)
+    decoded.forEach((frame, f) => {
+      const symbols = frames[f]
+      assert.strictEqual(frame.subchannel, symbols[0])
+      assert.deepStrictEqual(frame.data, [...symbols.slice(1, 13), ...symbols.slice(17, 29)])
+      assert.deepStrictEqual(frame.c2, symbols.slice(13, 17).map(b => b ^ 0xff))
+      assert.deepStrictEqual(frame.c1, symbols.slice(29, 33).map(b => b ^ 0xff))
+      assert.ok(frame.erasures.every(erasure => !erasure))
+      assert.ok(frame.candidates.every(candidate => candidate === null))
+    })
+  })
+}
+
+test('erased symbols come back as erasures, classified as the erasure candidate used', async () => {
+  const frames = makeFrames(3)
+  frames[1][5] = efm.ERASURE
+  frames[1][30] = efm.ERASURE
+  const erasure = efm.erasureCandidates[3]
+  const decoded = await roundTrip(frames, { erasure })
+  assert.strictEqual(decoded[1].data[4], efm.ERASURE)
+  assert.strictEqual(decoded[1].c1[1], efm.ERASURE)
+  assert.deepStrictEqual(decoded[1].erasures.map((e, i) => (e ? i : -1)).filter(i => i >= 0), [5, 30])
+  assert.strictEqual(decoded[1].candidates[5], 3)
+  assert.strictEqual(decoded[1].candidates[30], 3)
+  assert.ok(decoded[0].erasures.every(e => !e))
+})
@@ -0,0 +1,278 @@
+'use strict'
+
+// Checks the frames of the CIRC encoders after a flush or a restart, by walking back the
+// interleaving of the raw frames they emit, and that all of the encoders write the same bytes.
+const { test } = require('node:test')
+const assert = require('node:assert')
+const { once } = require('events')
+const { Writable } = require('stream')
+
+const efm = require('../efm')
+const encoder = require('../encoder')
+const { FastEncoder, encodeChunk, ChunkStitcher } = require('../fast')
+const L1profile = require('../profile')
+const rs = require('../rs')
+
+const profile = L1profile.load('encoder')
+const leads = encoder.dataLeads(profile)
+
+// Sectors with random bytes, numbered from the start of the stream.
+function makeSectors(count) {
+  let seed = 7
+  return Array.from({ length: count }, () => Array.from({ length: 2352 }, () => {
+    seed = (seed * 1103515245 + 12345) & 0x7fffffff
+    return (seed >> 16) & 0xff
+  }))
+}
+
+/* Encodes the sectors into raw frames, restarting the encoder before the sector at restartAt.
+   The cross-check encoder runs both the classic and the ring encoders, and the recorder
+   keeps the frames with their erasures, as arrays of 32 symbols. */
+function encode(sectors, restartAt) {
+  const recorder = new encoder.SymbolRecorder()
+  const enc = new encoder.CrossCheckEncoder(recorder, profile)
+  sectors.forEach((sector, n) => {
+    if (n === restartAt) enc.restart(n)
+    enc.queue(sector)
+  })
+  return recorder.writes.map(frame => [...frame])
+}
+
+// A byte stream, like the output file of index.js, which only takes bytes.
+function byteWriter() {
+  const chunks = []
+  const writer = new Writable({
+    write(chunk, encoding, callback) {
+      chunks.push(chunk)
+      callback()
+    }
+  })
+  writer.bytes = async () => {
+    writer.end()
+    await once(writer, 'finish')
+    return Buffer.concat(chunks)
+  }
+  return writer
+}
+
+// Encodes the sectors into a byte stream, with an encoder of the given class.
+async function encodeBytes(Encoder, sectors, restartAt) {
+  const writer = byteWriter()
+  const enc = new Encoder(writer, profile)
+  sectors.forEach((sector, n) => {
+    if (n === restartAt) enc.restart(n)
+    enc.queue(sector)
+  })
+  return writer.bytes()
+}
+
+// The stored C1 and C2 bytes are inverted, but not the erased ones.
+const uninvert = v => (v === efm.ERASURE ? v : v ^ 0xff)
+
+/* The C1 codeword of a row takes its even columns, and the odd columns of the row before it,
+   and the C2 codeword with the base row B is spread diagonally, see encoder.js. */
+function c1Codeword(frames, row) {
+  return Array.from({ length: 32 }, (_, k) => {
+    const v = frames[row - (k % 2)][k]
+    return (k >= 12 && k < 16) || k >= 28 ? uninvert(v) : v
+  })
+}
+
+function c2Codeword(frames, base) {
+  const codeword = []
+  for (let c = 0; c < 24; c++) {
+    codeword[c < 12 ? c : c + 4] = frames[base - encoder.delayedC2Data[c]][c < 12 ? c : c + 4]
+  }
+  for (let j = 0; j < 4; j++) {
+    codeword[12 + j] = uninvert(frames[base - encoder.delayedC2Locs[j]][12 + j])
+  }
+  return codeword
+}
+
+/* Each codeword either involves an erased symbol, in which case all of its parity bytes are
+   erased, or is a proper codeword. */
+function checkCodeword(codeword, parity) {
+  if (codeword.includes(efm.ERASURE)) {
+    assert.ok(parity.every(p => codeword[p] === efm.ERASURE))
+  } else {
+    assert.ok(rs.syndromes(codeword, 4).every(s => s === 0))
+  }
+}
+
+test('the encoder restarts with erasures, and then emits the new sectors', () => {
+  const sectors = makeSectors(20)
+  const frames = encode(sectors, 10)
+  // The sectors 8 and 9 were still queued, so the frames of the sector 10 follow the ones of 7.
+  const first = 8 * 98
+  assert.strictEqual(frames.length, (8 + 8) * 98)
+
+  // The data byte c of the row r after the restart is the byte lead[c] of the stream which
+  // starts over, with an erased sector before it.
+  const stream = [].concat(new Array(2352).fill(efm.ERASURE), ...sectors.slice(10))
+  for (let r = 0; r < 8 * 98; r++) {
+    for (let c = 0; c < 24; c++) {
+      assert.strictEqual(frames[first + r][c < 12 ? c : c + 4], stream[2352 + r * 24 + leads[c]])
+    }
+  }
+
+  // The codewords which are entirely after the restart.
+  for (let row = first + 1; row < frames.length; row++) {
+    checkCodeword(c1Codeword(frames, row), [28, 29, 30, 31])
+  }
+  for (let base = first + 107; base < frames.length; base++) {
+    checkCodeword(c2Codeword(frames, base), [12, 13, 14, 15])
+  }
+  // And the erasures are all gone after about half a sector.
+  assert.ok(frames.slice(first + 109).every(frame => !frame.includes(efm.ERASURE)))
+})
+
+test('a restart loses most of its sector, and a few bytes of the next one', () => {
+  const sectors = makeSectors(16)
+  const frames = encode(sectors, 10)
+  const first = 8 * 98
+  // Where each byte of the new stream ends up, if it's emitted at all.
+  const emitted = new Set()
+  for (let r = 0; r < frames.length - first; r++) {
+    for (let c = 0; c < 24; c++) emitted.add(r * 24 + leads[c])
+  }
+  const lost = [0, 1, 2].map(s => {
+    let count = 0
+    for (let i = 0; i < 2352; i++) count += emitted.has(2352 * s + i) ? 0 : 1
+    return count
+  })
+  // These would have been in the frames before the restart.
+  assert.deepStrictEqual(lost, [1231, 9, 0])
+})
+
+test('without a restart, every codeword is a proper one', () => {
+  const frames = encode(makeSectors(8))
+  for (let row = 1; row < frames.length; row++) {
+    assert.ok(rs.syndromes(c1Codeword(frames, row), 4).every(s => s === 0))
+  }
+  for (let base = 107; base < frames.length; base++) {
+    assert.ok(rs.syndromes(c2Codeword(frames, base), 4).every(s => s === 0))
+  }
+})
+
+test('the cross-check encoder writes erased symbols as zeroes to a byte stream, same as the classic one', async () => {
+  const sectors = makeSectors(12)
+  const expected = await encodeBytes(encoder.Encoder, sectors, 5)
+  assert.strictEqual(expected.length, 8 * 98 * 32)
+  assert.deepStrictEqual(await encodeBytes(encoder.CrossCheckEncoder, sectors, 5), expected)
+  // The erased symbols are zeroes, where the frames with erasures are.
+  const frames = encode(sectors, 5)
+  assert.deepStrictEqual(expected, Buffer.from([].concat(...frames).map(v => (v === efm.ERASURE ? 0 : v))))
+})
+
+// Some subchannel bytes for each sector, for the EFM output.
+const subchannel = n => Array.from({ length: 96 }, (_, i) => (n * 7 + i) & 0xff)
+
+/* Encodes the sectors into an EFM bitstream, with the classic encoder feeding the efm.Encoder
+   Transform, same as index.js does. */
+async function encodeEFM(sectors, restartAt) {
+  const transform = new efm.Encoder()
+  const bytes = []
+  transform.on('data', b => bytes.push(b))
+  const enc = new encoder.Encoder(transform, profile)
+  sectors.forEach((sector, n) => {
+    if (n === restartAt) enc.restart(n)
+    enc.queue(sector, subchannel(n))
+  })
+  transform.end()
+  await once(transform, 'end')
+  return Buffer.from(bytes)
+}
+
+// Same with the fast encoder, which does the EFM encoding by itself, or not.
+async function encodeFast(sectors, restartAt, efmOutput) {
+  const writer = byteWriter()
+  const enc = new FastEncoder(writer, profile, { efm: efmOutput })
+  sectors.forEach((sector, n) => {
+    if (n === restartAt) enc.restart(n)
+    enc.queue(Buffer.from(sector), efmOutput ? subchannel(n) : undefined)
+  })
+  enc.end()
+  return writer.bytes()
+}
+
+for (const restartAt of [undefined, 5]) {
+  const when = restartAt === undefined ? 'without a restart' : 'with a restart'
+  test('the fast encoder writes the same frames as the classic one, ' + when, async () => {
+    const sectors = makeSectors(12)
+    const expected = await encodeBytes(encoder.Encoder, sectors, restartAt)
+    assert.ok(expected.length > 0)
+    assert.deepStrictEqual(await encodeFast(sectors, restartAt, false), expected)
+  })
+
+  test('the fast encoder writes the same EFM bitstream as the classic one, ' + when, async () => {
+    const sectors = makeSectors(12)
+    const expected = await encodeEFM(sectors, restartAt)
+    assert.ok(expected.length > 0)
+    assert.deepStrictEqual(await encodeFast(sectors, restartAt, true), expected)
+  })
+}
+
+// The sector n of an endless stream, as index.js gives it to the workers, always a fresh copy.
+const sectorAt = efmOutput => n => {
+  const sector = Buffer.from(makeSectors(n + 1)[n])
+  return efmOutput ? [sector, subchannel(n)] : [sector]
+}
+
+for (const efmOutput of [false, true]) {
+  test('chunks encoded on their own stitch back into the single run, ' + (efmOutput ? 'as EFM' : 'as raw frames'), async () => {
+    const count = 7
+    const expected = await encodeFast(Array.from({ length: count + 2 }, (_, n) => sectorAt(false)(n)[0]), undefined, efmOutput)
+    // Chunk boundaries of all sorts, including one of a single sector.
+    const stitcher = new ChunkStitcher(efmOutput)
+    const levels = []
+    const outputs = [[0, 3], [3, 4], [4, count]].map(([a, b]) => {
+      const result = encodeChunk(sectorAt(efmOutput), a, b, profile, { efm: efmOutput })
+      levels.push(result.level)
+      return stitcher.stitch(result)
+    })
+    assert.deepStrictEqual(Buffer.concat(outputs), expected)
+    // Some chunk has to be inverted, for the NRZ-I level to be checked at all.
+    if (efmOutput) assert.ok(levels.slice(0, -1).some(level => level === 1))
+  })
+}
+
+for (const Encoder of [encoder.Encoder, encoder.RingEncoder]) {
+  test('flush pushes out the last sector, and the padding frames it reports, with the ' + Encoder.name, () => {
+    const all = makeSectors(9)
+    const sectors = all.slice(0, 5)
+    const padding = all.slice(5)
+    const recorder = new encoder.SymbolRecorder()
+    const enc = new Encoder(recorder, profile)
+    for (const sector of sectors) enc.queue(sector)
+    const paddingFrames = enc.flush(n => [padding[n]])
+    const frames = recorder.writes.map(frame => [...frame])
+    assert.strictEqual(frames.length, (5 + encoder.Encoder.paddingSectors - 2) * 98)
+
+    // Where each data byte of the frames comes from, within the stream, which starts with
+    // the silence the encoder is primed with.
+    const stream = [].concat(new Array(2352).fill(0), ...sectors, ...padding)
+    const end = 2352 * 6
+    const emitted = new Set()
+    let lastDataFrame = -1
+    frames.forEach((frame, f) => {
+      for (let c = 0; c < 24; c++) {
+        const position = 2352 + f * 24 + leads[c]
+        assert.strictEqual(frame[c < 12 ? c : c + 4], stream[position])
+        emitted.add(position)
+        if (position < end) lastDataFrame = Math.max(lastDataFrame, f)
+      }
+    })
+    for (let position = end - 2352; position < end; position++) {
+      assert.ok(emitted.has(position), 'byte ' + (position - end + 2352) + ' of the last sector')
+    }
+    assert.strictEqual(paddingFrames, frames.length - 1 - lastDataFrame)
+
+    // And the parity bytes protecting the last sector are all there.
+    for (let row = 1; row < frames.length; row++) {
+      assert.ok(rs.syndromes(c1Codeword(frames, row), 4).every(s => s === 0))
+    }
+    for (let base = 107; base < frames.length; base++) {
+      assert.ok(rs.syndromes(c2Codeword(frames, base), 4).every(s => s === 0))
+    }
+  })
+}
@@ -0,0 +1,46 @@
+'use strict'
+
+// Checks that the matrices.js port of genMatrices.py builds the same C1 and C2 matrices as
+// the hardcoded ones from rs.js, and that its encoders agree with the ones from rs.js.
+const { test } = require('node:test')
+const assert = require('node:assert')
+
+const matrices = require('../matrices')
+const rs = require('../rs')
+
+test('generated C1 matrix matches the one from rs.js', () => {
+  assert.deepStrictEqual(matrices.toLogs(matrices.generate(32, matrices.c1Parity)), rs.c1s)
+})
+
+test('generated C2 matrix matches the one from rs.js', () => {
+  assert.deepStrictEqual(matrices.toLogs(matrices.generate(28, matrices.c2Parity)), rs.c2s)
+})
+
+test('generated encoders agree with the ones from rs.js', () => {
+  const c1 = matrices.createEncoder(32, matrices.c1Parity)
+  const c2 = matrices.createEncoder(28, matrices.c2Parity)
+  let seed = 1
+  const random = () => {
+    seed = (seed * 1103515245 + 12345) & 0x7fffffff
+    return (seed >> 16) & 0xff
+  }
+  for (let i = 0; i < 64; i++) {
+    const data = Array.from({ length: 28 }, random)
+    assert.deepStrictEqual(c1(data), rs.encodeC1(data))
+    assert.deepStrictEqual(c2(data.slice(0, 24)), rs.encodeC2(data.slice(0, 24)))
+  }
+})
+
+test('other layouts produce valid codewords', () => {
+  // A (20,16) code, with its parity spread around.
+  const parity = [0, 7, 8, 19]
+  const encode = matrices.createEncoder(20, parity)
+  const data = Array.from({ length: 16 }, (_, i) => (i * 17 + 3) & 0xff)
+  const ecc = encode(data)
+  const codeword = []
+  for (let p = 0, d = 0; p < 20; p++) {
+    codeword.push(parity.includes(p) ? ecc[parity.indexOf(p)] : data[d++])
+  }
+  assert.ok(rs.syndromes(codeword, 4).every(s => s === 0))
+  assert.throws(() => matrices.generate(20, [0, 0, 1, 2]))
+})
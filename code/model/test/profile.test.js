@@ -0,0 +1,57 @@
+'use strict'
+
+// Checks the validation of the L1 profiles, from names and from JSON files.
+const { test } = require('node:test')
+const assert = require('node:assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+const L1profile = require('../profile')
+const encoder = require('../encoder')
+
+// Writes a profile to a temporary JSON file, and loads it.
+function loadJSON(profile) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'profile-'))
+  const filename = path.join(dir, 'profile.json')
+  try {
+    fs.writeFileSync(filename, JSON.stringify(profile))
+    return L1profile.load(filename)
+  } finally {
+    fs.rmSync(dir, { recursive: true })
+  }
+}
+
+const defaultTable = L1profile.load('default').table
+
+test('the named profiles are valid', () => {
+  for (const name of L1profile.names) {
+    const profile = L1profile.load(name)
+    assert.strictEqual(profile.name, name)
+    assert.ok(encoder.dataLeads(profile))
+  }
+})
+
+test('a table with its columns in another order is valid, with the matching delays', () => {
+  // Swaps the columns of the first two bytes of a line, and their delays along with them.
+  const table = defaultTable.map(entry => [...entry])
+  table[0] = [...defaultTable[1]]
+  table[1] = [...defaultTable[0]]
+  assert.deepStrictEqual(loadJSON({ table }).table, table)
+})
+
+test('a table which does not line up with the C2 codewords is rejected', () => {
+  // Same swap, but the delays stay behind.
+  const table = defaultTable.map(entry => [...entry])
+  table[0] = [defaultTable[0][0], defaultTable[1][1]]
+  table[1] = [defaultTable[1][0], defaultTable[0][1]]
+  assert.throws(() => loadJSON({ table }), /does not line up with the C2 codewords/)
+})
+
+test('malformed profiles are rejected', () => {
+  assert.throws(() => loadJSON({ table: defaultTable.slice(1) }), /24 entries/)
+  assert.throws(() => loadJSON({ table: defaultTable.map((entry, d) => (d === 3 ? [entry[0], 13] : entry)) }), /bad table entry/)
+  assert.throws(() => loadJSON({ offset: 105 }), /bad offset/)
+  assert.throws(() => loadJSON({ offset: 197 }), /bad offset/)
+  assert.throws(() => loadJSON({ shift: 2352 }), /bad shift/)
+})
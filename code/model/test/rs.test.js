@@ -0,0 +1,68 @@
+'use strict'
+
+// Checks gf.js and rs.js against the vectors generated by the genMatrices.py script, see
+// vectors.py, which is the reference implementation these modules were written against.
+const { test } = require('node:test')
+const assert = require('node:assert')
+
+const gf = require('../gf')
+const rs = require('../rs')
+const vectors = require('./vectors.json')
+
+test('gf tables match the ones of genMatrices.py', () => {
+  for (let i = 0; i < 255; i++) {
+    assert.strictEqual(gf.exp(i), vectors.exp[i], 'exp(' + i + ')')
+    assert.strictEqual(gf.log(i + 1), vectors.log[i], 'log(' + (i + 1) + ')')
+  }
+})
+
+test('gf multiplication and division agree with the tables', () => {
+  for (let x = 0; x < 256; x++) {
+    for (let y = 1; y < 256; y++) {
+      const product = gf.mul(x, y)
+      assert.strictEqual(product, x === 0 ? 0 : vectors.exp[(vectors.log[x - 1] + vectors.log[y - 1]) % 255])
+      assert.strictEqual(gf.div(product, y), x)
+    }
+  }
+})
+
+test('the C1 and C2 matrices are the ones genMatrices.py prints', () => {
+  assert.deepStrictEqual(rs.c1s, vectors.c1s)
+  assert.deepStrictEqual(rs.c2s, vectors.c2s)
+})
+
+test('C1 encoders produce the parity of genMatrices.py', () => {
+  for (const codeword of vectors.c1) {
+    const data = codeword.slice(0, 28)
+    const parity = codeword.slice(28)
+    assert.deepStrictEqual(rs.encodeC1(data), parity)
+    assert.deepStrictEqual(rs.encode(data, 4), parity)
+    assert.deepStrictEqual(rs.encode_4(data), parity)
+    assert.ok(rs.syndromes(codeword, 4).every(s => s === 0))
+  }
+})
+
+test('C2 encoder produces the parity of genMatrices.py, in the middle of the codeword', () => {
+  for (const codeword of vectors.c2) {
+    const data = [...codeword.slice(0, 12), ...codeword.slice(16)]
+    assert.deepStrictEqual(rs.encodeC2(data), codeword.slice(12, 16))
+    assert.ok(rs.syndromes(codeword, 4).every(s => s === 0))
+  }
+})
+
+test('decoder repairs errors and erasures the same way genMatrices.py does', () => {
+  for (const { input, erasures, output } of vectors.decode) {
+    const result = rs.decode(input, 4, erasures)
+    assert.ok(result.ok)
+    assert.deepStrictEqual(result.corrected, output)
+  }
+})
+
+test('decoder gives up beyond the capacity of the code', () => {
+  const codeword = vectors.c1[0]
+  const damaged = [...codeword]
+  for (const p of [1, 5, 9]) damaged[p] ^= 0x55
+  const result = rs.decode(damaged, 4)
+  assert.ok(!result.ok || !result.corrected.every((v, i) => v === codeword[i]))
+  assert.ok(!rs.decode(codeword, 4, [0, 1, 2, 3, 4]).ok)
+})
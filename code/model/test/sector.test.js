@@ -0,0 +1,86 @@
+'use strict'
+
+// Checks the data sectors of sector.js, their EDC, and their P and Q parity, against the
+// vectors generated by an independent implementation, see sectors.py, and their verdicts.
+const { test } = require('node:test')
+const assert = require('node:assert')
+
+const ecc = require('../ecc')
+const { edc } = require('../edc')
+const sectorBuilder = require('../sector')
+const vectors = require('./sectors.json')
+
+const expected = name => Buffer.from(vectors[name].sector, 'hex')
+const userData = (lba, size) => Buffer.from(Array.from({ length: size }, (_, i) => (i * 7 + lba) & 0xff))
+const subheader = ([file, channel, submode, coding]) => ({ file, channel, submode, coding })
+
+test('the EDC of a mode 1 sector is the one of the vectors', () => {
+  const sector = expected('mode1')
+  assert.strictEqual(edc(sector, 0, 2064), sector.readUInt32LE(2064))
+  // And for a Form 2 sector, where it only covers the subheader and the user data.
+  const form2 = expected('form2')
+  assert.strictEqual(edc(form2, 16, 2348), form2.readUInt32LE(2348))
+})
+
+test('the P and Q parity of a mode 1 sector are the ones of the vectors', () => {
+  const sector = expected('mode1')
+  const copy = Buffer.from(sector)
+  copy.fill(0, ecc.P_OFFSET)
+  ecc.generate(copy)
+  assert.deepStrictEqual(copy, sector)
+  assert.ok(ecc.check(sector))
+})
+
+test('mode 1 sectors are built as the vectors', () => {
+  const { lba } = vectors.mode1
+  assert.deepStrictEqual(sectorBuilder.mode1(userData(lba, 2048), lba), expected('mode1'))
+})
+
+test('mode 2 sectors are built as the vectors, in both forms, with and without the EDC', () => {
+  for (const name of ['form1', 'form2', 'form2NoEdc']) {
+    const { lba, subheader: fields } = vectors[name]
+    const sub = subheader(fields)
+    if (name === 'form2NoEdc') sub.edc = false
+    const sector = sectorBuilder.mode2(sub, userData(lba, sectorBuilder.userDataSize(sub)), lba)
+    assert.deepStrictEqual(sector, expected(name), name)
+    // The same sector, out of its 2336 bytes after the header.
+    assert.deepStrictEqual(sectorBuilder.xa(expected(name).subarray(16), lba), expected(name), name)
+  }
+  assert.strictEqual(expected('form2NoEdc').readUInt32LE(2348), 0)
+})
+
+test('clean sectors get the clean verdict', () => {
+  for (const name of ['mode1', 'form1', 'form2', 'form2NoEdc']) {
+    const result = sectorBuilder.verify(expected(name))
+    assert.strictEqual(result.verdict, 'clean', name)
+    assert.strictEqual(result.corrected, 0)
+  }
+  const result = sectorBuilder.verify(sectorBuilder.mode0(0))
+  assert.strictEqual(result.mode, 0)
+  assert.deepStrictEqual(result.address, { m: 0, s: 2, f: 0 })
+  assert.strictEqual(result.verdict, 'clean')
+})
+
+test('a few wrong bytes get corrected with the P and Q parity', () => {
+  for (const name of ['mode1', 'form1']) {
+    const sector = expected(name)
+    for (const position of [20, 700, 1500, 2300]) sector[position] ^= 0x5a
+    const result = sectorBuilder.verify(sector)
+    assert.strictEqual(result.verdict, 'corrected', name)
+    assert.strictEqual(result.corrected, 4)
+    assert.deepStrictEqual(sector, expected(name), name)
+  }
+})
+
+test('too many wrong bytes, or a wrong Form 2 sector, are unrecoverable', () => {
+  const sector = expected('mode1')
+  // A whole run of bytes in a row, which hits each P and Q codeword several times.
+  for (let position = 100; position < 400; position++) sector[position] ^= 0xff
+  assert.strictEqual(sectorBuilder.verify(sector).verdict, 'unrecoverable')
+  const form2 = expected('form2')
+  form2[100] ^= 1
+  assert.strictEqual(sectorBuilder.verify(form2).verdict, 'unrecoverable')
+  const mode0 = sectorBuilder.mode0(0)
+  mode0[2000] = 1
+  assert.strictEqual(sectorBuilder.verify(mode0).verdict, 'unrecoverable')
+})
@@ -0,0 +1,110 @@
+# Generates sectors.json, the test vectors for edc.js, ecc.js and sector.js, with an
+# independent implementation of the EDC and of the P and Q parity, the table-driven one
+# of ECMA-130 tools such as ECM, rather than going through a Reed-Solomon encoder. This
+# needs to be run again, with "python3 test/sectors.py", only if the vectors change.
+
+import json
+import os
+
+here = os.path.dirname(os.path.abspath(__file__))
+
+# The EDC is a CRC-32, least significant bit first, with the reversed polynomial.
+edc_lut = []
+for i in range(256):
+    edc = i
+    for _ in range(8):
+        edc = (edc >> 1) ^ (0xd8018001 if edc & 1 else 0)
+    edc_lut.append(edc)
+
+
+def edc(data):
+    value = 0
+    for b in data:
+        value = (value >> 8) ^ edc_lut[(value ^ b) & 0xff]
+    return value
+
+
+# The multiplication by alpha, and the division by 1 + alpha, in GF(256) with 0x11d.
+ecc_f_lut = [((i << 1) ^ (0x11d if i & 0x80 else 0)) & 0xff for i in range(256)]
+ecc_b_lut = [0] * 256
+for i in range(256):
+    ecc_b_lut[i ^ ecc_f_lut[i]] = i
+
+
+def ecc_block(sector, major_count, minor_count, major_mult, minor_inc, dest):
+    size = major_count * minor_count
+    for major in range(major_count):
+        index = (major >> 1) * major_mult + (major & 1)
+        ecc_a = 0
+        ecc_b = 0
+        for _ in range(minor_count):
+            temp = sector[12 + index]
+            index += minor_inc
+            if index >= size:
+                index -= size
+            ecc_a ^= temp
+            ecc_b ^= temp
+            ecc_a = ecc_f_lut[ecc_a]
+        ecc_a = ecc_b_lut[ecc_f_lut[ecc_a] ^ ecc_b]
+        sector[dest + major] = ecc_a
+        sector[dest + major + major_count] = ecc_a ^ ecc_b
+
+
+def ecc(sector):
+    ecc_block(sector, 86, 24, 2, 86, 2076)
+    ecc_block(sector, 52, 43, 86, 88, 2248)
+
+
+def bcd(v):
+    return (v // 10) * 16 + v % 10
+
+
+def header(lba, mode):
+    sector = bytearray(2352)
+    sector[1:11] = b'\xff' * 10
+    a = lba + 150
+    sector[12:16] = bytes([bcd(a // 4500), bcd(a // 75 % 60), bcd(a % 75), mode])
+    return sector
+
+
+def user_data(lba, size):
+    return bytes((i * 7 + lba) & 0xff for i in range(size))
+
+
+def mode1(lba):
+    sector = header(lba, 1)
+    sector[16:2064] = user_data(lba, 2048)
+    sector[2064:2068] = edc(sector[0:2064]).to_bytes(4, 'little')
+    ecc(sector)
+    return sector
+
+
+def mode2(lba, subheader, use_edc=True):
+    sector = header(lba, 2)
+    sector[16:20] = bytes(subheader)
+    sector[20:24] = bytes(subheader)
+    if subheader[2] & 0x20:
+        sector[24:2348] = user_data(lba, 2324)
+        if use_edc:
+            sector[2348:2352] = edc(sector[16:2348]).to_bytes(4, 'little')
+        return sector
+    sector[24:2072] = user_data(lba, 2048)
+    sector[2072:2076] = edc(sector[16:2072]).to_bytes(4, 'little')
+    # The parity of Form 1 is computed with a zero header.
+    address = sector[12:16]
+    sector[12:16] = bytes(4)
+    ecc(sector)
+    sector[12:16] = address
+    return sector
+
+
+vectors = {
+    'mode1': {'lba': 16, 'sector': mode1(16).hex()},
+    'form1': {'lba': 20, 'subheader': [1, 2, 0x08, 0], 'sector': mode2(20, [1, 2, 0x08, 0]).hex()},
+    'form2': {'lba': 21, 'subheader': [1, 2, 0x24, 0x01], 'sector': mode2(21, [1, 2, 0x24, 0x01]).hex()},
+    'form2NoEdc': {'lba': 22, 'subheader': [1, 2, 0x24, 0x01], 'sector': mode2(22, [1, 2, 0x24, 0x01], False).hex()},
+}
+
+with open(os.path.join(here, 'sectors.json'), 'w') as f:
+    json.dump(vectors, f)
+    f.write('\n')
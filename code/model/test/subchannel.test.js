@@ -0,0 +1,86 @@
+'use strict'
+
+// Checks the subchannel files of subchannel.js, in both layouts, and their subchannel Q CRC.
+const { test } = require('node:test')
+const assert = require('node:assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+const bcd = require('../bcd')
+const crc16 = require('../crc16')
+const msf = require('../msf')
+const { SubchannelFile, interleave, validQ } = require('../subchannel')
+
+// The subchannel Q of the sector at an LBA of the track 1, with its CRC, as index.js makes it.
+function makeQ(lba) {
+  const tc = msf.to(lba)
+  const tca = msf.to(lba + 150)
+  const subq = [0x41, 0x01, 0x01, bcd.to(tc.m), bcd.to(tc.s), bcd.to(tc.f), 0x00, bcd.to(tca.m), bcd.to(tca.s), bcd.to(tca.f)]
+  const crc = crc16.crc16(subq)
+  return [...subq, crc >> 8, crc & 0xff]
+}
+
+/* An interleaved subchannel, with one bit of each subchannel per byte, out of its Q, with the
+   P flag set, and some bits in the R to W subchannels. */
+function makeSubchannel(subq) {
+  return Array.from({ length: 96 }, (_, i) => 0x80 | (subq[i >> 3] & (0x80 >> (i & 7)) ? 0x40 : 0) | ((i * 5) & 0x3f))
+}
+
+// The other way around from interleave, with the 12 bytes of each subchannel one after the other.
+function deinterleave(sub) {
+  const data = Buffer.alloc(96)
+  for (let channel = 0; channel < 8; channel++) {
+    for (let i = 0; i < 96; i++) {
+      if (sub[i] & (0x80 >> channel)) {
+        data[channel * 12 + (i >> 3)] |= 0x80 >> (i & 7)
+      }
+    }
+  }
+  return data
+}
+
+// Writes the subchannels to a temporary file, with some extra bytes, and opens it.
+function withFile(data, layout, check) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'subchannel-'))
+  const filename = path.join(dir, 'image.sub')
+  try {
+    fs.writeFileSync(filename, Buffer.concat([...data, Buffer.alloc(10)]))
+    const file = new SubchannelFile(filename, layout)
+    try {
+      check(file)
+    } finally {
+      file.close()
+    }
+  } finally {
+    fs.rmSync(dir, { recursive: true })
+  }
+}
+
+const subchannels = [0, 1, 2].map(lba => makeSubchannel(makeQ(lba)))
+// The sector 1 gets a wrong bit in its subchannel Q.
+subchannels[1][40] ^= 0x40
+
+test('a deinterleaved subchannel has the P and Q subchannels as its first 24 bytes', () => {
+  const data = deinterleave(subchannels[0])
+  assert.deepStrictEqual([...data.subarray(0, 12)], new Array(12).fill(0xff))
+  assert.deepStrictEqual([...data.subarray(12, 24)], makeQ(0))
+  assert.deepStrictEqual(interleave(data), subchannels[0])
+})
+
+for (const layout of ['interleaved', 'deinterleaved']) {
+  test('the ' + layout + ' layout reads back as the interleaved subchannels, with their Q CRC checked', () => {
+    const data = subchannels.map(sub => (layout === 'interleaved' ? Buffer.from(sub) : deinterleave(sub)))
+    withFile(data, layout, file => {
+      assert.strictEqual(file.count, 3)
+      assert.strictEqual(file.remainder, 10)
+      subchannels.forEach((sub, k) => assert.deepStrictEqual(file.sector(k), sub))
+      assert.deepStrictEqual(subchannels.map(validQ), [true, false, true])
+      assert.deepStrictEqual(file.invalidQ(), [1])
+    })
+  })
+}
+
+test('unknown layouts are rejected', () => {
+  assert.throws(() => new SubchannelFile('image.sub', 'packed'), /Unknown subchannel layout: packed/)
+})
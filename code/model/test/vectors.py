@@ -0,0 +1,65 @@
+# Generates vectors.json, the test vectors for gf.js and rs.js, out of the genMatrices.py
+# script, which is the reference these modules were written against. This needs to be
+# run again, with "python3 test/vectors.py", only if the script changes.
+
+import contextlib
+import io
+import json
+import os
+import random
+
+here = os.path.dirname(os.path.abspath(__file__))
+
+# Running the script prints the C1 and C2 matrices, which we keep, along with its functions.
+script = {}
+output = io.StringIO()
+with contextlib.redirect_stdout(output):
+    exec(open(os.path.join(here, '..', 'genMatrices.py')).read(), script)
+
+matrices = {}
+for line in output.getvalue().splitlines():
+    if line.endswith('data:'):
+        current = matrices.setdefault(line.split()[0].lower(), [])
+    elif line.strip():
+        current.extend(int(v, 16) for v in line.replace(',', ' ').split())
+
+rng = random.Random(1)
+
+# C1 codewords, from the division-based encoder, with the parity at the end.
+c1 = []
+for _ in range(16):
+    data = [rng.randrange(256) for _ in range(28)]
+    c1.append(script['rs_encode_msg'](data, 4))
+
+# C2 codewords, with the parity in the middle, by erasing it and letting the decoder repair it.
+c2 = []
+for _ in range(16):
+    data = [rng.randrange(256) for _ in range(24)]
+    msg, ecc = script['rs_correct_msg'](data[:12] + [0] * 4 + data[12:], 4, [12, 13, 14, 15])
+    c2.append(msg + ecc)
+
+# Damaged C1 codewords, with errors and erasures within the correction capacity of the code,
+# along with what the decoder repairs them into.
+decode = []
+for codeword in c1:
+    errors = rng.randrange(3)
+    erasures = rng.randrange(5 - 2 * errors)
+    positions = rng.sample(range(32), errors + erasures)
+    damaged = list(codeword)
+    for p in positions:
+        damaged[p] ^= rng.randrange(1, 256)
+    msg, ecc = script['rs_correct_msg'](damaged, 4, sorted(positions[errors:]))
+    decode.append({'input': damaged, 'erasures': sorted(positions[errors:]), 'output': msg + ecc})
+
+vectors = {
+    'exp': script['gf_exp'][:255],
+    'log': script['gf_log'][1:],
+    'c1s': matrices['c1'],
+    'c2s': matrices['c2'],
+    'c1': c1,
+    'c2': c2,
+    'decode': decode,
+}
+with open(os.path.join(here, 'vectors.json'), 'w') as f:
+    json.dump(vectors, f)
+    f.write('\n')